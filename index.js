@@ -6,17 +6,96 @@ import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'crypto';
 import fetch from 'node-fetch';
 import express from 'express';
-
-const API_BASE_URL = 'https://www.fetchserp.com';
+import { createToolAccess } from './lib/access.js';
+import { backlinkTools, createBacklinkSnapshots } from './lib/backlinks.js';
+import { batchTools } from './lib/batch.js';
+import { cacheKey, createCache, loadTtls } from './lib/cache.js';
+import { ownerOf } from './lib/common.js';
+import { compareTools } from './lib/compare.js';
+import { competitorTools } from './lib/competitors.js';
+import { createEventStore } from './lib/events.js';
+import { createExportStore, formatResult, isFileFormat } from './lib/exports.js';
+import { createRankHistory, historyTools } from './lib/history.js';
+import { createJobQueue, jobTools, summarizeJob } from './lib/jobs.js';
+import { keywordTools } from './lib/keywords.js';
+import { createMonitorScheduler, monitorTools } from './lib/monitors.js';
+import { createProgressReporter } from './lib/progress.js';
+import { builtinPrompts, loadPromptDirectory, PromptRegistry } from './lib/prompts.js';
+import { loadLimits } from './lib/ratelimit.js';
+import { ToolRegistry, loadToolModules } from './lib/registry.js';
+import { createLatestResults, RESOURCE_TEMPLATES } from './lib/resources.js';
+import { createResultStore, paginate, previewOf, previewText } from './lib/results.js';
+import {
+  backoffDelay,
+  isRetryableStatus,
+  loadRetryPolicy,
+  parseRetryAfter,
+  sleep,
+  timeoutFor,
+} from './lib/retry.js';
+import { builtinTools } from './lib/tools.js';
+import { createUsageTracker, usageTools } from './lib/usage.js';
+import { validateArguments } from './lib/validation.js';
+
+// Override with FETCHSERP_API_BASE_URL to point at a mock or staging API
+// MCP log levels, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const API_BASE_URL = (process.env.FETCHSERP_API_BASE_URL || 'https://www.fetchserp.com').replace(/\/+$/, '');
 
 class FetchSERPServer {
   constructor() {
-    this.server = new Server(
+    this.registry = new ToolRegistry(builtinTools);
+    this.prompts = new PromptRegistry(builtinPrompts);
+    this.access = createToolAccess();
+    this.cache = createCache();
+    this.cacheTtls = loadTtls();
+    this.retryPolicy = loadRetryPolicy();
+    this.results = createResultStore();
+    this.exports = createExportStore();
+    this.latest = createLatestResults();
+    this.usage = createUsageTracker();
+    this.eventStore = createEventStore();
+    this.progressIntervalMs = parseInt(process.env.FETCHSERP_PROGRESS_INTERVAL_MS, 10) || 5000;
+    this.jobs = createJobQueue();
+    usageTools(this.usage).forEach((tool) => this.registry.register(tool));
+    jobTools(this.jobs, this.registry).forEach((tool) => this.registry.register(tool));
+    const batchConcurrency = parseInt(process.env.FETCHSERP_BATCH_CONCURRENCY, 10) || 4;
+    batchTools({ concurrency: batchConcurrency }).forEach((tool) => this.registry.register(tool));
+    // Rank history is kept in memory, and in a file when FETCHSERP_HISTORY_FILE is set
+    this.history = createRankHistory();
+    historyTools(this.history).forEach((tool) => this.registry.register(tool));
+    compareTools(this.history).forEach((tool) => this.registry.register(tool));
+    backlinkTools(createBacklinkSnapshots()).forEach((tool) => this.registry.register(tool));
+    competitorTools({ concurrency: batchConcurrency }).forEach((tool) => this.registry.register(tool));
+    keywordTools({ concurrency: batchConcurrency }).forEach((tool) => this.registry.register(tool));
+    // Monitors call tools the way a client would, with the server's own token.
+    // They are set up by the operator, so tool profiles do not apply to them.
+    this.monitors = createMonitorScheduler(
+      (name, args, token) => this.handleToolCall(name, args, token, { unrestricted: true }).then(({ data }) => data)
+    );
+    monitorTools(this.monitors).forEach((tool) => this.registry.register(tool));
+  }
+
+  // Each transport gets its own MCP Server: a Server only tracks one
+  // transport, so sharing one would route responses to the wrong session.
+  // Registry, cache, usage and stored results stay shared.
+  createServer({ calls = null } = {}) {
+    const server = new Server(
       {
         name: 'fetchserp-mcp-server',
         version: '1.0.5',
@@ -24,531 +103,135 @@ class FetchSERPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
+          logging: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-  }
+    // Log messages below the level the client set are not sent. Until it sets
+    // one, info and above are.
+    const logging = { level: 'info' };
+    logging.allows = (level) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logging.level);
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      logging.level = request.params.level;
+      return {};
+    });
 
-  setupToolHandlers() {
-    this.currentToken = null; // Store token for current request context
+    this.setupToolHandlers(server, { calls, logging });
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
+  }
 
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupToolHandlers(server, { calls = null, logging = null } = {}) {
+    // Only the tools the caller's profile allows are listed (see lib/access.js)
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+      const token = extra.authInfo?.token ?? null;
       return {
-        tools: [
-          {
-            name: 'get_backlinks',
-            description: 'Get backlinks for a given domain',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to search for backlinks',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 15',
-                  default: 15,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['domain'],
-            },
-          },
-          {
-            name: 'get_domain_emails',
-            description: 'Retrieve emails from a given domain',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to search emails from',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 1',
-                  default: 1,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['domain'],
-            },
-          },
-          {
-            name: 'get_domain_info',
-            description: 'Get domain info including DNS records, WHOIS data, SSL certificates, and technology stack',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to check',
-                },
-              },
-              required: ['domain'],
-            },
-          },
-          {
-            name: 'get_keywords_search_volume',
-            description: 'Get search volume for given keywords',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                keywords: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'The keywords to search',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country code to search for',
-                },
-              },
-              required: ['keywords'],
-            },
-          },
-          {
-            name: 'get_keywords_suggestions',
-            description: 'Get keyword suggestions based on a url or a list of keywords',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to search (optional if keywords provided)',
-                },
-                keywords: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'The keywords to search (optional if url provided)',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country code to search for',
-                },
-              },
-            },
-          },
-          {
-            name: 'get_long_tail_keywords',
-            description: 'Generate long-tail keywords for a given keyword',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                keyword: {
-                  type: 'string',
-                  description: 'The seed keyword to generate long-tail keywords from',
-                },
-                search_intent: {
-                  type: 'string',
-                  description: 'The search intent (informational, commercial, transactional, navigational). Default: informational',
-                  default: 'informational',
-                },
-                count: {
-                  type: 'integer',
-                  description: 'The number of long-tail keywords to generate (1-500). Default: 10',
-                  default: 10,
-                  minimum: 1,
-                  maximum: 500,
-                },
-              },
-              required: ['keyword'],
-            },
-          },
-          {
-            name: 'get_moz_analysis',
-            description: 'Get Moz domain analysis data',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to analyze',
-                },
-              },
-              required: ['domain'],
-            },
-          },
-          {
-            name: 'check_page_indexation',
-            description: 'Check if a domain is indexed for a given keyword',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to check',
-                },
-                keyword: {
-                  type: 'string',
-                  description: 'The keyword to check',
-                },
-              },
-              required: ['domain', 'keyword'],
-            },
-          },
-          {
-            name: 'get_domain_ranking',
-            description: 'Get domain ranking for a given keyword',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                keyword: {
-                  type: 'string',
-                  description: 'The keyword to search',
-                },
-                domain: {
-                  type: 'string',
-                  description: 'The domain to search',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 10',
-                  default: 10,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['keyword', 'domain'],
-            },
-          },
-          {
-            name: 'scrape_webpage',
-            description: 'Scrape a web page without JS',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to scrape',
-                },
-              },
-              required: ['url'],
-            },
-          },
-          {
-            name: 'scrape_domain',
-            description: 'Scrape a domain',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                domain: {
-                  type: 'string',
-                  description: 'The domain to scrape',
-                },
-                max_pages: {
-                  type: 'integer',
-                  description: 'The maximum number of pages to scrape (up to 200). Default: 10',
-                  default: 10,
-                  maximum: 200,
-                },
-              },
-              required: ['domain'],
-            },
-          },
-          {
-            name: 'scrape_webpage_js',
-            description: 'Scrape a web page with custom JS',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to scrape',
-                },
-                js_script: {
-                  type: 'string',
-                  description: 'The javascript code to execute on the page',
-                },
-              },
-              required: ['url', 'js_script'],
-            },
-          },
-          {
-            name: 'scrape_webpage_js_proxy',
-            description: 'Scrape a web page with JS and proxy',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to scrape',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to use for the proxy',
-                },
-                js_script: {
-                  type: 'string',
-                  description: 'The javascript code to execute on the page',
-                },
-              },
-              required: ['url', 'country', 'js_script'],
-            },
-          },
-          {
-            name: 'get_serp_results',
-            description: 'Get search engine results',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'The query to search',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 1',
-                  default: 1,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get_serp_html',
-            description: 'Get search engine results with HTML content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'The query to search',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 1',
-                  default: 1,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get_serp_ai_mode',
-            description: 'Get SERP with AI Overview and AI Mode response. Returns AI overview and AI mode response for the query. Less reliable than the 2-step process but returns results in under 30 seconds.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'The query to search',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get_serp_text',
-            description: 'Get search engine results with text content',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'The query to search',
-                },
-                search_engine: {
-                  type: 'string',
-                  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
-                  default: 'google',
-                },
-                country: {
-                  type: 'string',
-                  description: 'The country to search from. Default: us',
-                  default: 'us',
-                },
-                pages_number: {
-                  type: 'integer',
-                  description: 'The number of pages to search (1-30). Default: 1',
-                  default: 1,
-                  minimum: 1,
-                  maximum: 30,
-                },
-              },
-              required: ['query'],
-            },
-          },
-          {
-            name: 'get_user_info',
-            description: 'Get user information including API credit',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-            },
-          },
-          {
-            name: 'get_webpage_ai_analysis',
-            description: 'Analyze a web page with AI',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to analyze',
-                },
-                prompt: {
-                  type: 'string',
-                  description: 'The prompt to use for the analysis',
-                },
-              },
-              required: ['url', 'prompt'],
-            },
-          },
-          {
-            name: 'generate_wordpress_content',
-            description: 'Generate WordPress content using AI with customizable prompts and models',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                user_prompt: {
-                  type: 'string',
-                  description: 'The user prompt',
-                },
-                system_prompt: {
-                  type: 'string',
-                  description: 'The system prompt',
-                },
-                ai_model: {
-                  type: 'string',
-                  description: 'The AI model (default: gpt-4.1-nano)',
-                  default: 'gpt-4.1-nano',
-                },
-              },
-              required: ['user_prompt', 'system_prompt'],
-            },
-          },
-          {
-            name: 'generate_social_content',
-            description: 'Generate social media content using AI with customizable prompts and models',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                user_prompt: {
-                  type: 'string',
-                  description: 'The user prompt',
-                },
-                system_prompt: {
-                  type: 'string',
-                  description: 'The system prompt',
-                },
-                ai_model: {
-                  type: 'string',
-                  description: 'The AI model (default: gpt-4.1-nano)',
-                  default: 'gpt-4.1-nano',
-                },
-              },
-              required: ['user_prompt', 'system_prompt'],
-            },
-          },
-          {
-            name: 'get_playwright_mcp',
-            description: 'Use GPT-4.1 to remote control a browser via a Playwright MCP server',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                prompt: {
-                  type: 'string',
-                  description: 'The prompt to use for remote control of the browser',
-                },
-              },
-              required: ['prompt'],
-            },
-          },
-          {
-            name: 'get_webpage_seo_analysis',
-            description: 'Get SEO analysis for a given url',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'The url to analyze',
-                },
-              },
-              required: ['url'],
-            },
-          },
-        ],
+        tools: this.registry
+          .list()
+          .filter(({ name }) => this.access.allows(name, token))
+          .map(({ name, description, inputSchema, outputSchema }) => ({
+            name,
+            description,
+            inputSchema,
+            ...(outputSchema && { outputSchema }),
+          })),
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const callTool = async (request, extra) => {
       const { name, arguments: args } = request.params;
 
+      // In HTTP mode the token travels with the request that issued the call
+      // (see req.auth in run()); in stdio mode we fall back to the env token
+      const token = extra.authInfo?.token ?? null;
+
+      // Open the response stream with an event so an HTTP client that drops
+      // mid-call holds a Last-Event-ID to resume from (see lib/events.js)
+      if (extra.sessionId && this.eventStore && logging?.allows('info')) {
+        await extra.sendNotification({
+          method: 'notifications/message',
+          params: { level: 'info', logger: 'fetchserp', data: `Calling ${name}` },
+        });
+      }
+
+      // Progress is only reported when the client asked for it; extra.signal
+      // fires when the client sends notifications/cancelled
+      const progress = createProgressReporter(
+        request.params._meta?.progressToken,
+        extra.sendNotification,
+        this.progressIntervalMs
+      );
+
       try {
-        const result = await this.handleToolCall(name, args, this.currentToken);
-        return {
-          content: [
+        const { data, cache, job, format } = await this.handleToolCall(name, args, token, {
+          signal: extra.signal,
+          progress,
+        });
+        await progress?.done(job ? 'Queued as a background job' : cache.hit ? 'Served from cache' : 'Done');
+        const tool = this.registry.get(name);
+        const summarize = job ? summarizeJob : tool.summarize;
+        const content = format && format !== 'json'
+          ? await formatResult(tool, data, format, this.exports, token)
+          : [
             {
               type: 'text',
-              text: JSON.stringify(result, null, 2),
+              // Tools without a summary keep the full pretty-printed response
+              text: summarize ? summarize(data) : JSON.stringify(data, null, 2),
+            },
+          ];
+
+        if (cache.hit) {
+          content.push({
+            type: 'text',
+            text: `Served from cache: data is ${cache.age_seconds}s old (fetched ${cache.cached_at}).`,
+          });
+        }
+
+        const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+        const json = JSON.stringify(data);
+        // Inline tables and the pretty-printed JSON of tools without a summary
+        // can outgrow the response itself, so they count against the limit too
+        const oversizedText = content.filter((item) => item.type === 'text' && this.results.isOversized(item.text));
+
+        if (!this.results.isOversized(json) && oversizedText.length === 0) {
+          return {
+            content,
+            ...(isObject && { structuredContent: data }),
+            _meta: { cache },
+          };
+        }
+
+        // Too large for the client's context: keep the full result server-side
+        // and return a preview plus links to read it page by page
+        const stored = this.results.save(name, json, token);
+        oversizedText.forEach((item) => {
+          item.text = previewText(item.text);
+        });
+        content.push({
+          type: 'text',
+          text: `Result truncated: the full response is ${stored.bytes} bytes in ${stored.pages.length} page(s). ` +
+            `Read them in order with resources/read, starting at ${this.results.pageUri(stored.id, 1)}.`,
+        });
+        // Link the first pages only; each page read points at the next one
+        stored.pages.slice(0, 10).forEach((_, index) => {
+          content.push({ type: 'resource_link', ...this.results.describePage(stored, index + 1) });
+        });
+
+        return {
+          content,
+          ...(isObject && { structuredContent: previewOf(data) }),
+          _meta: {
+            cache,
+            truncated: {
+              bytes: stored.bytes,
+              pages: stored.pages.length,
+              uri: this.results.pageUri(stored.id, 1),
             },
-          ],
+          },
         };
       } catch (error) {
         if (error instanceof McpError) {
@@ -559,10 +242,132 @@ class FetchSERPServer {
           `Tool execution failed: ${error.message}`
         );
       }
+    };
+
+    // In HTTP mode the call counts against its session's limit on concurrent
+    // calls (see run()) until it completes, whether or not the client is still
+    // connected to receive the result
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      calls?.set(extra.requestId, 'running');
+      try {
+        return await callTool(request, extra);
+      } finally {
+        calls?.delete(extra.requestId);
+      }
     });
   }
 
-  async makeRequest(endpoint, method = 'GET', params = {}, body = null, token = null) {
+  setupResourceHandlers(server) {
+    // Latest results are recorded under the token the call was made with,
+    // which falls back to the server's own
+    const callerToken = (extra) => extra.authInfo?.token || process.env.FETCHSERP_API_TOKEN;
+
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      const token = extra.authInfo?.token ?? null;
+      return paginate(
+        [...this.latest.entries(callerToken(extra)), ...this.results.entries(token), ...this.exports.entries(token)],
+        request.params?.cursor
+      );
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: 'fetchserp://results/{id}/{page}',
+            name: 'Stored tool result page',
+            description: 'One page of an oversized tool result, as linked from the tool call that produced it',
+            mimeType: 'application/json',
+          },
+          {
+            uriTemplate: 'fetchserp://exports/{id}/{filename}',
+            name: 'Exported tool result',
+            description: 'A CSV or XLSX file written by a tool call with output_format csv_file or xlsx_file',
+          },
+          ...RESOURCE_TEMPLATES,
+        ],
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      const token = extra.authInfo?.token ?? null;
+      const result = this.results.read(uri, token)
+        || this.latest.read(uri, callerToken(extra))
+        || await this.exports.read(uri, token);
+
+      if (!result) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Resource not found: ${uri}`
+        );
+      }
+
+      return result;
+    });
+
+    // Subscriptions of this session (one Server per session): URI to the
+    // token it was made with. The listener is only attached while there are
+    // any, and drops itself once the session's transport has closed.
+    const subscriptions = new Map();
+    const onUpdated = (event) => {
+      if (!server.transport) {
+        subscriptions.clear();
+        this.latest.off('updated', onUpdated);
+        return;
+      }
+      subscriptions.forEach((token, uri) => {
+        if (this.latest.isUpdateFor(event, uri, token)) {
+          server.sendResourceUpdated({ uri })
+            .catch((error) => console.error(`Failed to notify resource update ${uri}: ${error.message}`));
+        }
+      });
+    };
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      if (!this.latest.handles(uri)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Cannot subscribe to ${uri}: only fetchserp://domain/ and fetchserp://serp/ resources are updated`
+        );
+      }
+      if (subscriptions.size === 0) {
+        this.latest.on('updated', onUpdated);
+      }
+      subscriptions.set(uri, callerToken(extra));
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptions.delete(request.params.uri);
+      if (subscriptions.size === 0) {
+        this.latest.off('updated', onUpdated);
+      }
+      return {};
+    });
+  }
+
+  setupPromptHandlers(server) {
+    // Prompts that chain tools the caller's profile denies are left out
+    const access = (extra) => {
+      const token = extra.authInfo?.token ?? null;
+      return {
+        toolNames: this.registry.list().map(({ name }) => name),
+        allows: (tool) => this.access.allows(tool, token),
+      };
+    };
+
+    server.setRequestHandler(ListPromptsRequestSchema, async (request, extra) => {
+      return { prompts: this.prompts.list(access(extra)) };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      return this.prompts.get(request.params.name, request.params.arguments, access(extra));
+    });
+  }
+
+  async makeRequest(endpoint, method = 'GET', params = {}, body = null, token = null, options = {}) {
     const fetchserpToken = token || process.env.FETCHSERP_API_TOKEN;
     
     if (!fetchserpToken) {
@@ -599,101 +404,249 @@ class FetchSERPServer {
       fetchOptions.body = JSON.stringify(body);
     }
 
-    const response = await fetch(url.toString(), fetchOptions);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API request failed: ${response.status} ${response.statusText} - ${errorText}`
-      );
-    }
-
-    return await response.json();
-  }
-
-  async handleToolCall(name, args, token = null) {
-    switch (name) {
-      case 'get_backlinks':
-        return await this.makeRequest('/api/v1/backlinks', 'GET', args, null, token);
-
-      case 'get_domain_emails':
-        return await this.makeRequest('/api/v1/domain_emails', 'GET', args, null, token);
+    const policy = this.retryPolicy;
+    const timeoutMs = timeoutFor(policy, options.tool);
+    const { signal, progress } = options;
+    let attempt;
+
+    // The attempt count goes in the message as well as in data, since not every
+    // SDK version forwards error data to the client
+    const failure = (code, message, data = {}) => new McpError(
+      code,
+      `${message} (${attempt} attempt${attempt === 1 ? '' : 's'})`,
+      { endpoint, attempts: attempt, ...data }
+    );
+    // An aborted fetch was either cancelled by the client or timed out
+    const aborted = () => signal?.aborted
+      ? failure(ErrorCode.InternalError, 'API request cancelled by the client', { cancelled: true })
+      : failure(ErrorCode.RequestTimeout, `API request timed out after ${timeoutMs}ms`, { timeout_ms: timeoutMs });
+
+    for (attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw aborted();
+      }
 
-      case 'get_domain_info':
-        return await this.makeRequest('/api/v1/domain_infos', 'GET', args, null, token);
+      progress?.report(attempt === 1 ? `Requesting ${endpoint}` : `Retrying ${endpoint} (attempt ${attempt})`);
 
-      case 'get_keywords_search_volume':
-        return await this.makeRequest('/api/v1/keywords_search_volume', 'GET', args, null, token);
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      const timer = setTimeout(abort, timeoutMs);
+      signal?.addEventListener('abort', abort);
+      const stopKeepalive = progress?.keepalive(
+        (elapsedMs) => `Waiting for ${endpoint} (${Math.round(elapsedMs / 1000)}s)`
+      );
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+        stopKeepalive?.();
+      };
+      let response;
 
-      case 'get_keywords_suggestions':
-        return await this.makeRequest('/api/v1/keywords_suggestions', 'GET', args, null, token);
+      try {
+        response = await fetch(url.toString(), { ...fetchOptions, signal: controller.signal });
+      } catch (error) {
+        cleanup();
 
-      case 'get_long_tail_keywords':
-        return await this.makeRequest('/api/v1/long_tail_keywords_generator', 'GET', args, null, token);
+        // Timeouts are not retried: a slow crawl would only be slow again
+        if (error.name === 'AbortError') {
+          throw aborted();
+        }
 
-      case 'get_moz_analysis':
-        return await this.makeRequest('/api/v1/moz', 'GET', args, null, token);
+        if (attempt > policy.maxRetries) {
+          throw failure(
+            ErrorCode.InternalError,
+            `API request failed: ${error.message}`,
+            { reason: error.message }
+          );
+        }
 
-      case 'check_page_indexation':
-        return await this.makeRequest('/api/v1/page_indexation', 'GET', args, null, token);
+        await sleep(backoffDelay(policy, attempt), signal);
+        continue;
+      }
 
-      case 'get_domain_ranking':
-        return await this.makeRequest('/api/v1/ranking', 'GET', args, null, token);
+      if (response.ok) {
+        try {
+          return await response.json();
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw aborted();
+          }
+          throw error;
+        } finally {
+          cleanup();
+        }
+      }
 
-      case 'scrape_webpage':
-        return await this.makeRequest('/api/v1/scrape', 'GET', args, null, token);
+      const errorText = await response.text().catch(() => '');
+      cleanup();
 
-      case 'scrape_domain':
-        return await this.makeRequest('/api/v1/scrape_domain', 'GET', args, null, token);
+      if (!isRetryableStatus(response.status) || attempt > policy.maxRetries) {
+        throw failure(
+          ErrorCode.InternalError,
+          `API request failed: ${response.status} ${response.statusText} - ${errorText}`,
+          { status: response.status }
+        );
+      }
 
-      case 'scrape_webpage_js':
-        const { url, js_script, ...jsParams } = args;
-        return await this.makeRequest('/api/v1/scrape_js', 'POST', { url, ...jsParams }, { url, js_script }, token);
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null && retryAfter > policy.maxDelayMs) {
+        throw failure(
+          ErrorCode.InternalError,
+          `API request failed: ${response.status} ${response.statusText} - retry after ${Math.ceil(retryAfter / 1000)}s exceeds the retry window`,
+          { status: response.status, retry_after_ms: retryAfter }
+        );
+      }
 
-      case 'scrape_webpage_js_proxy':
-        const { url: proxyUrl, country, js_script: proxyScript, ...proxyParams } = args;
-        return await this.makeRequest('/api/v1/scrape_js_with_proxy', 'POST', { url: proxyUrl, country, ...proxyParams }, { url: proxyUrl, js_script: proxyScript }, token);
+      await sleep(retryAfter ?? backoffDelay(policy, attempt), signal);
+    }
+  }
 
-      case 'get_serp_results':
-        return await this.makeRequest('/api/v1/serp', 'GET', args, null, token);
+  // Serve a tool's upstream request from the cache when the tool has a TTL,
+  // returning the data along with where it came from and how old it is
+  async cachedRequest(name, endpoint, method = 'GET', params = {}, body = null, token = null, options = {}) {
+    const ttl = this.cacheTtls[name] || 0;
+    const resolvedToken = token || process.env.FETCHSERP_API_TOKEN;
+
+    // Budgets and quotas are checked before spending credits. The estimated
+    // cost is reserved while the call runs, charged once it succeeds and
+    // released if it fails. Fresh responses also go to the rank history when
+    // it is enabled, and to the latest results served as resources.
+    const request = async () => {
+      const reservation = await this.usage.authorize(resolvedToken, name, { ...params, ...body });
+      let data;
+      try {
+        data = await this.makeRequest(endpoint, method, params, body, token, { ...options, tool: name });
+      } catch (error) {
+        this.usage.release(reservation);
+        throw error;
+      }
+      await this.usage.record(resolvedToken, name, { reservation });
+      this.history.record(name, { ...params, ...body }, data, resolvedToken);
+      return data;
+    };
 
-      case 'get_serp_html':
-        return await this.makeRequest('/api/v1/serp_html', 'GET', args, null, token);
+    if (!this.cache || ttl <= 0) {
+      const data = await request();
+      this.latest.record(name, { ...params, ...body }, data, resolvedToken);
+      return { data, cache: { hit: false } };
+    }
 
-      case 'get_serp_ai_mode':
-        return await this.makeRequest('/api/v1/serp_ai_mode', 'GET', args, null, token);
+    const key = cacheKey({
+      endpoint,
+      method,
+      params,
+      body,
+      token: resolvedToken,
+    });
 
-      case 'get_serp_text':
-        return await this.makeRequest('/api/v1/serp_text', 'GET', args, null, token);
+    const entry = await this.cache.get(key);
+    if (entry) {
+      await this.usage.record(resolvedToken, name, { cached: true });
+      // Fills the latest results after a restart with a file cache
+      this.latest.record(name, { ...params, ...body }, entry.value, resolvedToken, entry.storedAt);
+      return {
+        data: entry.value,
+        cache: {
+          hit: true,
+          cached_at: new Date(entry.storedAt).toISOString(),
+          age_seconds: Math.round((Date.now() - entry.storedAt) / 1000),
+        },
+      };
+    }
 
-      case 'get_user_info':
-        return await this.makeRequest('/api/v1/user', 'GET', {}, null, token);
+    const data = await request();
+    const storedAt = Date.now();
+    await this.cache.set(key, { value: data, storedAt, expiresAt: storedAt + ttl * 1000 });
+    this.latest.record(name, { ...params, ...body }, data, resolvedToken, storedAt);
 
-      case 'get_webpage_ai_analysis':
-        return await this.makeRequest('/api/v1/web_page_ai_analysis', 'GET', args, null, token);
+    return { data, cache: { hit: false, ttl_seconds: ttl } };
+  }
 
-      case 'generate_wordpress_content':
-        return await this.makeRequest('/api/v1/generate_wordpress_content', 'GET', args, null, token);
+  // options.signal aborts the upstream call; options.progress reports on it.
+  // Every call, including those composite tools make for their caller, is
+  // checked against the caller's tool profile unless options.unrestricted is
+  // set, which handlers pass on to the calls they make.
+  async handleToolCall(name, args = {}, token = null, options = {}) {
+    const tool = this.registry.get(name);
 
-      case 'generate_social_content':
-        return await this.makeRequest('/api/v1/generate_social_content', 'GET', args, null, token);
+    if (!tool) {
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown tool: ${name}`
+      );
+    }
+    if (!options.unrestricted) {
+      this.access.assertAllowed(name, token);
+    }
 
-      case 'get_playwright_mcp':
-        return await this.makeRequest('/api/v1/playwright_mcp', 'GET', args, null, token);
+    let { value, errors } = validateArguments(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${name}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+        { errors }
+      );
+    }
 
-      case 'get_webpage_seo_analysis':
-        return await this.makeRequest('/api/v1/web_page_seo_analysis', 'GET', args, null, token);
+    // output_format only changes how the result is shown to the client; it is
+    // never sent upstream or part of the cache key
+    let format = 'json';
+    if (tool.rows) {
+      ({ output_format: format = 'json', ...value } = value);
+      if (isFileFormat(format) && !this.exports.enabled) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          `output_format ${format} needs an export directory; set FETCHSERP_EXPORT_DIR`
+        );
+      }
+    }
 
-      default:
+    // async only picks how the call runs and is never sent upstream. A queued
+    // job runs this same call without it and the job is returned right away.
+    if (tool.async) {
+      const { async: background, ...rest } = value;
+      value = rest;
+      if (background && format !== 'json') {
         throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Unknown tool: ${name}`
+          ErrorCode.InvalidParams,
+          `Invalid arguments for ${name}: output_format cannot be combined with async; get_job_result returns the JSON result`,
+          { errors: [{ field: 'output_format', message: 'cannot be combined with async' }] }
+        );
+      }
+      if (background) {
+        const job = this.jobs.submit(
+          name,
+          token || process.env.FETCHSERP_API_TOKEN,
+          (signal) => this.handleToolCall(name, rest, token, { signal }).then(({ data }) => data)
         );
+        return { data: { job }, cache: { hit: false }, job: true };
+      }
     }
+
+    if (tool.handler) {
+      const data = await tool.handler(value, {
+        token: token || process.env.FETCHSERP_API_TOKEN,
+        server: this,
+        ...options,
+      });
+      return { data, cache: { hit: false }, format };
+    }
+
+    // The cache keeps the raw upstream response; transform runs on every call
+    const { params = {}, body = null } = tool.request(value);
+    const result = await this.cachedRequest(name, tool.endpoint, tool.method, params, body, token, options);
+    return { ...result, ...(tool.transform && { data: tool.transform(result.data, value) }), format };
   }
 
   async run() {
+    await loadToolModules(this.registry);
+    const unmatched = this.access.unmatched(this.registry.list().map(({ name }) => name));
+    if (unmatched.length > 0) {
+      console.error(`Tool access patterns that match no tool: ${unmatched.join(', ')}`);
+    }
+    await loadPromptDirectory(this.prompts);
+    this.monitors.start();
+
     // Check if we should run as HTTP server (for ngrok) or stdio
     const useHttp = process.env.MCP_HTTP_MODE === 'true';
     
@@ -707,8 +660,64 @@ class FetchSERPServer {
       const app = express();
       app.use(express.json());
 
-      // Map to store transports by session ID
-      const transports = {};
+      // Behind ngrok or a load balancer, trust X-Forwarded-For for client IPs
+      if (process.env.FETCHSERP_TRUST_PROXY) {
+        app.set('trust proxy', process.env.FETCHSERP_TRUST_PROXY);
+      }
+
+      const limits = loadLimits();
+      const idleTimeoutMs = parseInt(process.env.FETCHSERP_SESSION_IDLE_MS, 10) || 30 * 60 * 1000;
+
+      // Map of session ID to { transport, server, token, calls, lastActivity },
+      // where calls maps the JSON-RPC ids of the session's tool calls in flight
+      // to 'pending' (received) or 'running' (handler started)
+      const sessions = {};
+
+      // Reject with a JSON-RPC error, a 429 status and a Retry-After header
+      const tooManyRequests = (req, res, message, retryAfterMs) => {
+        const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32000,
+            message: `Too Many Requests: ${message}`,
+            data: { retry_after_seconds: retryAfter },
+          },
+          id: Array.isArray(req.body) ? null : req.body?.id ?? null,
+        });
+      };
+
+      // Per-IP and per-token rate limits, shared by /sse and /usage. Answers
+      // with a 429 and returns true when either bucket is empty.
+      const rateLimited = (req, res, token) => {
+        const ipLimit = limits.perIp.take(`ip:${req.ip}`);
+        if (!ipLimit.allowed) {
+          tooManyRequests(req, res, 'rate limit exceeded for this IP address', ipLimit.retryAfterMs);
+          return true;
+        }
+
+        // Keyed by a digest so the bucket map holds no usable tokens
+        const tokenLimit = limits.perToken.take(`token:${ownerOf(token)}`);
+        if (!tokenLimit.allowed) {
+          tooManyRequests(req, res, 'rate limit exceeded for this token', tokenLimit.retryAfterMs);
+          return true;
+        }
+        return false;
+      };
+
+      // Close sessions that have been idle too long; closing the transport
+      // fires server.onclose, which removes the session from the map
+      const evictIdleSessions = setInterval(() => {
+        const cutoff = Date.now() - idleTimeoutMs;
+        Object.entries(sessions).forEach(([sessionId, session]) => {
+          if (session.lastActivity < cutoff && session.calls.size === 0) {
+            console.log(`⌛ Closing idle session: ${sessionId}`);
+            session.transport.close().catch((error) => console.error(`Error closing session ${sessionId}:`, error));
+          }
+        });
+      }, Math.min(idleTimeoutMs, 60 * 1000));
+      evictIdleSessions.unref();
 
       // SSE endpoint for Claude MCP Connector
       app.all('/sse', async (req, res) => {
@@ -722,35 +731,72 @@ class FetchSERPServer {
           }
 
           const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-          this.currentToken = token; // Set token for this request
+          // Picked up by the transport and handed to request handlers as extra.authInfo
+          req.auth = { token, clientId: 'fetchserp', scopes: [] };
+
+          if (rateLimited(req, res, token)) {
+            return;
+          }
 
           // Check for existing session ID
           const sessionId = req.headers['mcp-session-id'];
-          let transport;
-
-          if (sessionId && transports[sessionId]) {
-            // Reuse existing transport
-            transport = transports[sessionId];
-          } else if (!sessionId && this.isInitializeRequest(req.body)) {
-            // New initialization request
-            transport = new StreamableHTTPServerTransport({
-              sessionIdGenerator: () => Math.random().toString(36).substring(2, 15),
-            });
 
-            // Connect to the MCP server
-            await this.server.connect(transport);
-            
-            // Handle the request first, then store the transport
-            await transport.handleRequest(req, res, req.body);
-            
-            // Store the transport by session ID after handling the request
-            if (transport.sessionId) {
-              transports[transport.sessionId] = transport;
-              console.log(`✅ New session created and stored: ${transport.sessionId}`);
+          if (sessionId) {
+            const session = sessions[sessionId];
+
+            // Unknown or terminated session: the client must re-initialize
+            if (!session) {
+              return res.status(404).json({
+                jsonrpc: '2.0',
+                error: {
+                  code: -32001,
+                  message: 'Session not found',
+                },
+                id: null,
+              });
             }
-            
-            return; // Exit early since we already handled the request
-          } else {
+
+            // A session is bound to the token that created it
+            if (session.token !== token) {
+              return res.status(403).json({
+                jsonrpc: '2.0',
+                error: {
+                  code: -32000,
+                  message: 'Forbidden: Bearer token does not match session',
+                },
+                id: null,
+              });
+            }
+
+            // Cap the upstream calls a single session can have running at once
+            const callIds = this.toolCallIds(req.body);
+            if (callIds.length > 0 && limits.maxConcurrentCalls > 0) {
+              if (session.calls.size + callIds.length > limits.maxConcurrentCalls) {
+                return tooManyRequests(
+                  req,
+                  res,
+                  `session already has ${session.calls.size} of ${limits.maxConcurrentCalls} tool calls in flight`,
+                  1000
+                );
+              }
+            }
+
+            // Held until the call handler finishes with them (see
+            // setupToolHandlers); calls the transport rejected before they
+            // reached a handler are let go when the request ends
+            callIds.forEach((id) => session.calls.set(id, 'pending'));
+            session.lastActivity = Date.now();
+            res.on('close', () => {
+              callIds.filter((id) => session.calls.get(id) === 'pending').forEach((id) => session.calls.delete(id));
+              session.lastActivity = Date.now();
+            });
+
+            // Handles POST, the GET notification stream and DELETE, which
+            // terminates the session and closes the transport
+            return await session.transport.handleRequest(req, res, req.body);
+          }
+
+          if (!this.isInitializeRequest(req.body)) {
             // Invalid request
             return res.status(400).json({
               jsonrpc: '2.0',
@@ -762,7 +808,38 @@ class FetchSERPServer {
             });
           }
 
-          // Handle the request using the transport (for existing sessions)
+          if (limits.maxSessions > 0 && Object.keys(sessions).length >= limits.maxSessions) {
+            return tooManyRequests(req, res, `server is at its limit of ${limits.maxSessions} sessions`, 60 * 1000);
+          }
+
+          // New initialization request
+          const calls = new Map();
+          const server = this.createServer({ calls });
+          const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            // Lets clients resume dropped streams with Last-Event-ID
+            ...(this.eventStore && { eventStore: this.eventStore.forSession() }),
+            onsessioninitialized: (newSessionId) => {
+              sessions[newSessionId] = {
+                transport,
+                server,
+                token,
+                calls,
+                lastActivity: Date.now(),
+              };
+              console.log(`✅ New session created and stored: ${newSessionId}`);
+            },
+          });
+
+          server.onclose = () => {
+            if (transport.sessionId && sessions[transport.sessionId]) {
+              delete sessions[transport.sessionId];
+              console.log(`🗑️  Session closed: ${transport.sessionId}`);
+            }
+          };
+
+          // Connect to a dedicated MCP server for this session
+          await server.connect(transport);
           await transport.handleRequest(req, res, req.body);
         } catch (error) {
           console.error('Error handling MCP request:', error);
@@ -775,6 +852,22 @@ class FetchSERPServer {
         }
       });
 
+      // Usage counters for the caller's token; FETCHSERP_ADMIN_TOKEN sees every token
+      app.get('/usage', async (req, res) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+          return res.status(401).json({ error: 'Unauthorized - Bearer token required' });
+        }
+
+        const token = authHeader.substring(7);
+        if (rateLimited(req, res, token)) {
+          return;
+        }
+
+        const isAdmin = Boolean(process.env.FETCHSERP_ADMIN_TOKEN) && token === process.env.FETCHSERP_ADMIN_TOKEN;
+        res.json(await this.usage.report(isAdmin ? undefined : token));
+      });
+
       // Health check endpoint
       app.get('/health', (req, res) => {
         res.json({ 
@@ -785,7 +878,13 @@ class FetchSERPServer {
           protocol: 'http',
           port: port,
           note: 'Use ngrok for HTTPS tunneling',
-          endpoint: '/sse - StreamableHTTP transport for Claude MCP Connector'
+          endpoint: '/sse - StreamableHTTP transport for Claude MCP Connector',
+          sessions: {
+            active: Object.keys(sessions).length,
+            max: limits.maxSessions || null,
+            in_flight_calls: Object.values(sessions).reduce((sum, session) => sum + session.calls.size, 0),
+            idle_timeout_ms: idleTimeoutMs,
+          },
         });
       });
 
@@ -799,6 +898,7 @@ class FetchSERPServer {
           port: port,
           endpoints: {
             sse: `/sse - StreamableHTTP transport for Claude MCP Connector`,
+            usage: `/usage - Calls and estimated credits for your Bearer token`,
             health: `/health - Health check`
           },
           usage: 'Use ngrok to create HTTPS tunnel, then connect Claude to the ngrok URL + /sse',
@@ -817,11 +917,17 @@ class FetchSERPServer {
     } else {
       // Stdio mode (default) - for Claude Desktop
       const transport = new StdioServerTransport();
-      await this.server.connect(transport);
+      await this.createServer().connect(transport);
       console.error('FetchSERP MCP server running on stdio');
     }
   }
 
+  // Helper method to list the ids of the tools/call messages in a request body
+  toolCallIds(body) {
+    const messages = Array.isArray(body) ? body : [body];
+    return messages.filter(message => message && message.method === 'tools/call').map(message => message.id);
+  }
+
   // Helper method to check if request is an initialize request
   isInitializeRequest(body) {
     if (Array.isArray(body)) {
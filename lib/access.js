@@ -0,0 +1,135 @@
+import { readFileSync } from 'fs';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ownerOf } from './common.js';
+
+// Which tools are listed and callable. A profile is a set of allow and deny
+// patterns (tool names, * matches any run of characters); a tool is available
+// when it matches an allow pattern, or there are none, and no deny pattern.
+//
+// The deployment's allow and deny lists apply to every caller. On top of
+// them each caller gets one profile: the one assigned to its Bearer token,
+// or the deployment's default profile. Configured in FETCHSERP_ACCESS_CONFIG:
+//
+//   {
+//     "profile": "no-js-execution",
+//     "allow": [], "deny": ["get_serp_html"],
+//     "profiles": { "seo-team": { "extends": "research-only", "allow": ["create_monitor"] } },
+//     "tokens": { "sha256:<hex digest of the token>": "seo-team" }
+//   }
+//
+// FETCHSERP_TOOL_PROFILE, FETCHSERP_ALLOWED_TOOLS and FETCHSERP_DENIED_TOOLS
+// (comma separated) override "profile" and extend "allow" and "deny".
+
+const JS_EXECUTION = ['scrape_webpage_js', 'scrape_webpage_js_proxy', 'get_playwright_mcp'];
+const AI_GENERATION = ['generate_wordpress_content', 'generate_social_content', 'get_webpage_ai_analysis', 'get_playwright_mcp'];
+
+export const BUILTIN_PROFILES = {
+  full: {},
+  'no-js-execution': { deny: JS_EXECUTION },
+  'no-ai-generation': { deny: AI_GENERATION },
+  // Read-only research: nothing that runs scripts, generates content, or
+  // creates, deletes or triggers monitors
+  'research-only': {
+    deny: [...new Set([...JS_EXECUTION, ...AI_GENERATION]), 'create_monitor', 'delete_monitor', 'run_monitor'],
+  },
+};
+
+function matcher(patterns = []) {
+  const regexes = patterns.map((pattern) =>
+    new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+  );
+  return (name) => regexes.some((regex) => regex.test(name));
+}
+
+const list = (value) => (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+export class ToolAccess {
+  constructor({ profile = 'full', allow = [], deny = [], profiles = {}, tokens = {} } = {}) {
+    this.definitions = { ...BUILTIN_PROFILES, ...profiles };
+    this.profiles = Object.fromEntries(
+      Object.keys(this.definitions).map((name) => [name, this.resolve(name)])
+    );
+    this.deployment = { allow, deny, allowed: matcher(allow), denied: matcher(deny) };
+    this.defaultProfile = this.profileNamed(profile, 'the default profile');
+
+    // Tokens are configured either in the clear or as sha256:<hex digest>
+    this.tokens = new Map(Object.entries(tokens).map(([token, name]) => [
+      token.startsWith('sha256:') ? token.substring(7).toLowerCase() : ownerOf(token),
+      this.profileNamed(name, 'a token'),
+    ]));
+  }
+
+  // A profile with its extends chain folded in: the allow list of the
+  // nearest profile that has one, and every deny list along the chain
+  resolve(name, seen = []) {
+    const definition = this.definitions[name];
+    if (!definition) {
+      throw new Error(`Unknown tool profile: ${name}`);
+    }
+    if (seen.includes(name)) {
+      throw new Error(`Tool profile ${name} extends itself: ${[...seen, name].join(' → ')}`);
+    }
+    const parent = definition.extends ? this.resolve(definition.extends, [...seen, name]) : { allow: [], deny: [] };
+    const allow = definition.allow?.length ? definition.allow : parent.allow;
+    const deny = [...parent.deny, ...(definition.deny || [])];
+    return { name, allow, deny, allowed: matcher(allow), denied: matcher(deny) };
+  }
+
+  profileNamed(name, usedBy) {
+    if (!this.profiles[name]) {
+      throw new Error(`Unknown tool profile ${name} for ${usedBy}; known profiles: ${Object.keys(this.profiles).join(', ')}`);
+    }
+    return this.profiles[name];
+  }
+
+  profileFor(token) {
+    return (token && this.tokens.get(ownerOf(token))) || this.defaultProfile;
+  }
+
+  allows(name, token) {
+    const profile = this.profileFor(token);
+    return [this.deployment, profile].every((rules) =>
+      (rules.allow.length === 0 || rules.allowed(name)) && !rules.denied(name)
+    );
+  }
+
+  assertAllowed(name, token) {
+    if (!this.allows(name, token)) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Tool ${name} is not available with the ${this.profileFor(token).name} profile of this server`
+      );
+    }
+  }
+
+  // Patterns that match none of the registered tools, most likely typos
+  unmatched(toolNames) {
+    const patterns = [
+      ...this.deployment.allow,
+      ...this.deployment.deny,
+      ...Object.keys(this.definitions)
+        .filter((name) => !BUILTIN_PROFILES[name])
+        .flatMap((name) => [...(this.definitions[name].allow || []), ...(this.definitions[name].deny || [])]),
+    ];
+    return [...new Set(patterns)].filter((pattern) => !toolNames.some((name) => matcher([pattern])(name)));
+  }
+}
+
+export function createToolAccess(env = process.env) {
+  let config = {};
+  if (env.FETCHSERP_ACCESS_CONFIG) {
+    try {
+      config = JSON.parse(readFileSync(env.FETCHSERP_ACCESS_CONFIG, 'utf8'));
+    } catch (error) {
+      throw new Error(`FETCHSERP_ACCESS_CONFIG must point to a JSON object: ${error.message}`);
+    }
+  }
+
+  return new ToolAccess({
+    profile: env.FETCHSERP_TOOL_PROFILE || config.profile || 'full',
+    allow: [...(config.allow || []), ...list(env.FETCHSERP_ALLOWED_TOOLS)],
+    deny: [...(config.deny || []), ...list(env.FETCHSERP_DENIED_TOOLS)],
+    profiles: config.profiles,
+    tokens: config.tokens,
+  });
+}
@@ -0,0 +1,277 @@
+import { promises as fs, readFileSync } from 'fs';
+import { callTool, ownerOf, payload } from './common.js';
+import { normalizeDomain } from './history.js';
+
+// Backlink normalization and diffing. Upstream rows get one canonical shape
+// on top of whatever fields they came with:
+//
+//   { source_url, target_url, anchor_text, referring_domain, nofollow }
+//
+// nofollow is null when the row says nothing about it. Exact duplicates (same
+// source and target) are dropped, and unless one_per_domain is false only the
+// first link from each referring domain is kept. Other upstream fields are passed through, and
+// upstream values of the fields computed here are kept as upstream_<field>.
+
+const firstString = (...values) => values.find((value) => typeof value === 'string' && value.trim() !== '')?.trim() ?? null;
+
+// Lowercase scheme and host, no fragment and no trailing slash on the path, so
+// the same link spelled twice compares equal
+export function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${path}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+function nofollowOf(row) {
+  if (typeof row.nofollow === 'boolean') {
+    return row.nofollow;
+  }
+  if (typeof row.dofollow === 'boolean') {
+    return !row.dofollow;
+  }
+  const rel = Array.isArray(row.rel) ? row.rel.join(' ') : row.rel;
+  if (typeof rel === 'string') {
+    return /\bnofollow\b/i.test(rel);
+  }
+  return null;
+}
+
+export function normalizeBacklink(row) {
+  const source = firstString(row.source_url, row.source, row.url_from, row.url);
+  const target = firstString(row.target_url, row.target, row.url_to);
+  return {
+    source_url: source,
+    target_url: target,
+    anchor_text: firstString(row.anchor_text, row.anchor, row.text),
+    referring_domain: source ? normalizeDomain(source) : null,
+    nofollow: nofollowOf(row),
+  };
+}
+
+const linkKey = (link) => `${canonicalUrl(link.source_url)} ${canonicalUrl(link.target_url)}`;
+
+const COMPUTED_FIELDS = ['total_backlinks', 'total_referring_domains', 'referring_domains'];
+
+// get_backlinks response in the canonical shape, with a per referring domain
+// breakdown
+export function normalizeBacklinks(response, { one_per_domain: onePerDomain = true } = {}) {
+  const data = payload(response);
+  const { backlinks: listed, results, ...fields } = data;
+  const rows = listed || results || [];
+  const upstream = Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+    [COMPUTED_FIELDS.includes(key) ? `upstream_${key}` : key, value]
+  ));
+
+  const seen = new Set();
+  const domains = new Map();
+  const backlinks = [];
+  rows.map((row) => ({ ...row, ...normalizeBacklink(row) })).filter((link) => link.source_url).forEach((link) => {
+    const key = linkKey(link);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    const domain = domains.get(link.referring_domain) || { referring_domain: link.referring_domain, links: 0, nofollow_links: 0 };
+    domain.links += 1;
+    domain.nofollow_links += link.nofollow ? 1 : 0;
+    domains.set(link.referring_domain, domain);
+
+    if (!onePerDomain || domain.links === 1) {
+      backlinks.push(link);
+    }
+  });
+
+  return {
+    ...(response?.data !== undefined && response),
+    data: {
+      ...upstream,
+      domain: data.domain ?? null,
+      total_backlinks: seen.size,
+      total_referring_domains: domains.size,
+      backlinks,
+      referring_domains: Array.from(domains.values()).sort((a, b) => b.links - a.links),
+    },
+  };
+}
+
+export function diffBacklinks(previous, current) {
+  const before = new Map(previous.map((link) => [linkKey(link), link]));
+  const after = new Map(current.map((link) => [linkKey(link), link]));
+  const domainsOf = (links) => new Set(links.map((link) => link.referring_domain));
+  const beforeDomains = domainsOf(previous);
+  const afterDomains = domainsOf(current);
+
+  return {
+    gained: current.filter((link) => !before.has(linkKey(link))),
+    lost: previous.filter((link) => !after.has(linkKey(link))),
+    gained_referring_domains: [...afterDomains].filter((domain) => !beforeDomains.has(domain)),
+    lost_referring_domains: [...beforeDomains].filter((domain) => !afterDomains.has(domain)),
+  };
+}
+
+// Last backlink fetch per token and domain, kept in memory or in a JSON file
+export class BacklinkSnapshots {
+  constructor({ path = null } = {}) {
+    this.path = path;
+    this.snapshots = {};
+    this.writing = Promise.resolve();
+    if (path) {
+      try {
+        this.snapshots = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Ignoring unreadable backlink snapshots ${path}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  key(token, domain) {
+    return `${ownerOf(token)}:${normalizeDomain(domain)}`;
+  }
+
+  get(token, domain) {
+    return this.snapshots[this.key(token, domain)] || null;
+  }
+
+  save(token, domain, backlinks) {
+    const snapshot = { taken_at: new Date().toISOString(), backlinks };
+    this.snapshots[this.key(token, domain)] = snapshot;
+    if (this.path) {
+      const contents = JSON.stringify(this.snapshots);
+      const temporary = `${this.path}.tmp`;
+      this.writing = this.writing
+        .then(() => fs.writeFile(temporary, contents))
+        .then(() => fs.rename(temporary, this.path))
+        .catch((error) => console.error(`Failed to write backlink snapshots ${this.path}: ${error.message}`));
+    }
+    return snapshot;
+  }
+}
+
+export function createBacklinkSnapshots(env = process.env) {
+  return new BacklinkSnapshots({ path: env.FETCHSERP_BACKLINK_SNAPSHOTS_FILE || null });
+}
+
+const linkLine = (link) => `- ${link.source_url} → ${link.target_url}` +
+  `${link.anchor_text ? ` ("${link.anchor_text}")` : ''}${link.nofollow ? ' [nofollow]' : ''}`;
+
+function summarizeDiff(result) {
+  if (result.baseline) {
+    return `Snapshot of ${result.current_count} backlinks saved for ${result.domain}; the next diff_backlinks call compares against it.`;
+  }
+  const section = (title, links) => (links.length === 0
+    ? []
+    : [`${title} (${links.length}):`, ...links.slice(0, 10).map(linkLine), ...(links.length > 10 ? [`…and ${links.length - 10} more`] : [])]);
+  return [
+    `Backlinks for ${result.domain} since ${result.previous_taken_at}: ` +
+      `${result.gained.length} gained, ${result.lost.length} lost (${result.previous_count} → ${result.current_count})`,
+    ...section('Gained', result.gained),
+    ...section('Lost', result.lost),
+    ...(result.gained_referring_domains.length ? [`New referring domains: ${result.gained_referring_domains.join(', ')}`] : []),
+    ...(result.lost_referring_domains.length ? [`Lost referring domains: ${result.lost_referring_domains.join(', ')}`] : []),
+  ].join('\n');
+}
+
+const linkList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      source_url: { type: 'string' },
+      target_url: { type: ['string', 'null'] },
+      anchor_text: { type: ['string', 'null'] },
+      referring_domain: { type: 'string' },
+      nofollow: { type: ['boolean', 'null'] },
+    },
+  },
+};
+
+export function backlinkTools(snapshots) {
+  return [
+    {
+      name: 'diff_backlinks',
+      description: 'Fetch the backlinks of a domain and compare them with the snapshot saved by the previous diff_backlinks call: gained and lost links and referring domains. The first call only saves a snapshot',
+      outputSchema: {
+        type: 'object',
+        properties: {
+          domain: { type: 'string' },
+          baseline: { type: 'boolean' },
+          previous_taken_at: { type: ['string', 'null'] },
+          previous_count: { type: ['integer', 'null'] },
+          current_count: { type: 'integer' },
+          gained: linkList,
+          lost: linkList,
+          gained_referring_domains: { type: 'array', items: { type: 'string' } },
+          lost_referring_domains: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['domain', 'baseline', 'current_count'],
+      },
+      summarize: summarizeDiff,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain to diff backlinks for',
+          },
+          search_engine: {
+            type: 'string',
+            description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+            enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+            default: 'google',
+          },
+          country: {
+            type: 'string',
+            description: 'The country to search from. Default: us',
+            default: 'us',
+          },
+          pages_number: {
+            type: 'integer',
+            description: 'The number of pages to search (1-30). Default: 15',
+            default: 15,
+            minimum: 1,
+            maximum: 30,
+          },
+          save: {
+            type: 'boolean',
+            description: 'Replace the stored snapshot with this fetch. Default: true',
+            default: true,
+          },
+        },
+        required: ['domain'],
+      },
+      handler: async ({ domain, search_engine, country, pages_number, save }, context) => {
+        const { token } = context;
+        // Every link, so a second link from a known domain shows up as gained
+        const { backlinks } = await callTool(context, 'get_backlinks', {
+          domain, search_engine, country, pages_number, one_per_domain: false,
+        });
+        // Snapshots keep the canonical fields only
+        const current = backlinks.map(normalizeBacklink);
+        const previous = snapshots.get(token, domain);
+        if (save || !previous) {
+          snapshots.save(token, domain, current);
+        }
+
+        if (!previous) {
+          return { domain, baseline: true, previous_taken_at: null, previous_count: null, current_count: current.length };
+        }
+        return {
+          domain,
+          baseline: false,
+          previous_taken_at: previous.taken_at,
+          previous_count: previous.backlinks.length,
+          current_count: current.length,
+          ...diffBacklinks(previous.backlinks, current),
+        };
+      },
+    },
+  ];
+}
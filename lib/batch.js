@@ -0,0 +1,265 @@
+import { payload } from './common.js';
+import { markdownTable } from './tables.js';
+
+// Batch tools: run one single-item tool over a list of keywords or queries and
+// return one combined table. Items go through the server's normal tool path
+// (validation, cache, budgets, retries), at most `concurrency` at a time. An
+// item that fails is reported in its row; it does not fail the batch.
+
+const MAX_ITEMS = 100;
+
+// Like Promise.all(items.map(fn)), with at most `limit` calls in flight
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Trimmed, without blanks and duplicates, in the order given
+function uniqueItems(items) {
+  return [...new Set(items.map((item) => item.trim()).filter(Boolean))];
+}
+
+async function fanOut(tool, items, argsFor, { server, token, signal, unrestricted, progress, concurrency }) {
+  let finished = 0;
+
+  return mapWithConcurrency(items, concurrency, async (item) => {
+    try {
+      if (signal?.aborted) {
+        return { item, error: 'Cancelled' };
+      }
+      const { data } = await server.handleToolCall(tool, argsFor(item), token, { signal, unrestricted });
+      return { item, data: payload(data) };
+    } catch (error) {
+      return { item, error: error.message };
+    } finally {
+      finished += 1;
+      progress?.report(`${finished}/${items.length} ${tool} calls finished`);
+    }
+  });
+}
+
+const listSchema = (description) => ({
+  type: 'array',
+  description: `${description} (1-${MAX_ITEMS})`,
+  items: { type: 'string' },
+  minItems: 1,
+  maxItems: MAX_ITEMS,
+});
+
+const searchEngineSchema = {
+  type: 'string',
+  description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+  enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+  default: 'google',
+};
+
+const countrySchema = {
+  type: 'string',
+  description: 'The country to search from. Default: us',
+  default: 'us',
+};
+
+const pagesNumberSchema = (fallback) => ({
+  type: 'integer',
+  description: `The number of pages to search for each item (1-30). Default: ${fallback}`,
+  default: fallback,
+  minimum: 1,
+  maximum: 30,
+});
+
+const batchOutput = (properties, row) => ({
+  type: 'object',
+  properties: {
+    ...properties,
+    total: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { ...row, error: { type: ['string', 'null'] } },
+      },
+    },
+  },
+  required: ['total', 'failed', 'results'],
+});
+
+function withCounts(fields, results) {
+  return {
+    ...fields,
+    total: results.length,
+    failed: results.filter((row) => row.error).length,
+    results,
+  };
+}
+
+function failedLine({ total, failed }) {
+  return failed > 0 ? `\n${failed} of ${total} failed; see the error column.` : '';
+}
+
+function summarizeRankingsBatch(result) {
+  return `Rankings for ${result.domain} (${result.search_engine}/${result.country})\n\n` +
+    markdownTable(
+      ['Keyword', 'Position', 'URL'],
+      result.results.map((row) => [row.keyword, row.error ? `error: ${row.error}` : row.position ?? 'not ranked', row.url])
+    ) + failedLine(result);
+}
+
+function summarizeIndexationBatch(result) {
+  return `Indexation of ${result.domain}\n\n` +
+    markdownTable(
+      ['Keyword', 'Indexed', 'URLs'],
+      result.results.map((row) => [
+        row.keyword,
+        row.error ? `error: ${row.error}` : row.indexed === null ? 'unknown' : row.indexed ? 'yes' : 'no',
+        (row.urls || []).join(', '),
+      ])
+    ) + failedLine(result);
+}
+
+function summarizeSerpBatch(result) {
+  const rows = result.results.flatMap((row) => (row.error
+    ? [[row.query, '', `error: ${row.error}`, '']]
+    : row.results.slice(0, 3).map((serp, index) => [
+      row.query,
+      serp.ranking ?? index + 1,
+      serp.title || serp.site_name,
+      serp.url,
+    ])));
+  return `Top 3 results per query (${result.search_engine}/${result.country})\n\n` +
+    markdownTable(['Query', 'Position', 'Title', 'URL'], rows) + failedLine(result);
+}
+
+export function batchTools({ concurrency = 4 } = {}) {
+  return [
+    {
+      name: 'get_domain_rankings_batch',
+      description: 'Get a domain\'s ranking for many keywords at once. Returns one table with a row per keyword; keywords that fail are reported in their row',
+      outputSchema: batchOutput(
+        { domain: { type: 'string' }, search_engine: { type: 'string' }, country: { type: 'string' } },
+        {
+          keyword: { type: 'string' },
+          position: { type: ['integer', 'null'] },
+          url: { type: ['string', 'null'] },
+          title: { type: ['string', 'null'] },
+        }
+      ),
+      summarize: summarizeRankingsBatch,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain to search',
+          },
+          keywords: listSchema('The keywords to search'),
+          search_engine: searchEngineSchema,
+          country: countrySchema,
+          pages_number: pagesNumberSchema(10),
+        },
+        required: ['domain', 'keywords'],
+      },
+      handler: async ({ domain, keywords, search_engine, country, pages_number }, context) => {
+        const rows = await fanOut(
+          'get_domain_ranking',
+          uniqueItems(keywords),
+          (keyword) => ({ keyword, domain, search_engine, country, pages_number }),
+          { ...context, concurrency }
+        );
+        return withCounts({ domain, search_engine, country }, rows.map(({ item, data, error }) => {
+          const best = data?.results?.[0];
+          return {
+            keyword: item,
+            position: best?.ranking ?? null,
+            url: best?.url ?? null,
+            title: best?.title ?? null,
+            error: error ?? null,
+          };
+        }));
+      },
+    },
+    {
+      name: 'check_indexation_batch',
+      description: 'Check if a domain is indexed for many keywords at once. Returns one table with a row per keyword; keywords that fail are reported in their row',
+      outputSchema: batchOutput(
+        { domain: { type: 'string' } },
+        {
+          keyword: { type: 'string' },
+          indexed: { type: ['boolean', 'null'] },
+          urls: { type: 'array', items: { type: 'string' } },
+        }
+      ),
+      summarize: summarizeIndexationBatch,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain to check',
+          },
+          keywords: listSchema('The keywords to check'),
+        },
+        required: ['domain', 'keywords'],
+      },
+      handler: async ({ domain, keywords }, context) => {
+        const rows = await fanOut(
+          'check_page_indexation',
+          uniqueItems(keywords),
+          (keyword) => ({ domain, keyword }),
+          { ...context, concurrency }
+        );
+        return withCounts({ domain }, rows.map(({ item, data, error }) => ({
+          keyword: item,
+          indexed: data?.indexed ?? null,
+          urls: data?.urls || [],
+          error: error ?? null,
+        })));
+      },
+    },
+    {
+      name: 'get_serp_results_batch',
+      description: 'Get search engine results for many queries at once. Returns the results of every query in one response; queries that fail are reported in their row',
+      outputSchema: batchOutput(
+        { search_engine: { type: 'string' }, country: { type: 'string' } },
+        {
+          query: { type: 'string' },
+          results: { type: 'array', items: { type: 'object' } },
+        }
+      ),
+      summarize: summarizeSerpBatch,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          queries: listSchema('The queries to search'),
+          search_engine: searchEngineSchema,
+          country: countrySchema,
+          pages_number: pagesNumberSchema(1),
+        },
+        required: ['queries'],
+      },
+      handler: async ({ queries, search_engine, country, pages_number }, context) => {
+        const rows = await fanOut(
+          'get_serp_results',
+          uniqueItems(queries),
+          (query) => ({ query, search_engine, country, pages_number }),
+          { ...context, concurrency }
+        );
+        return withCounts({ search_engine, country }, rows.map(({ item, data, error }) => ({
+          query: item,
+          results: data?.results || [],
+          error: error ?? null,
+        })));
+      },
+    },
+  ];
+}
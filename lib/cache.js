@@ -0,0 +1,237 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { ownerOf } from './common.js';
+
+// Default TTLs in seconds. Slow-moving data (WHOIS, Moz, volumes) is kept for a
+// day, SERP-derived data for 15 minutes. Tools that execute scripts, generate
+// content or report account state are never cached (TTL 0).
+export const DEFAULT_TTLS = {
+  get_backlinks: 6 * 60 * 60,
+  get_domain_emails: 24 * 60 * 60,
+  get_domain_info: 24 * 60 * 60,
+  get_keywords_search_volume: 24 * 60 * 60,
+  get_keywords_suggestions: 24 * 60 * 60,
+  get_long_tail_keywords: 60 * 60,
+  get_moz_analysis: 24 * 60 * 60,
+  check_page_indexation: 15 * 60,
+  get_domain_ranking: 15 * 60,
+  scrape_webpage: 5 * 60,
+  scrape_domain: 5 * 60,
+  scrape_webpage_js: 0,
+  scrape_webpage_js_proxy: 0,
+  get_serp_results: 15 * 60,
+  get_serp_html: 15 * 60,
+  get_serp_ai_mode: 15 * 60,
+  get_serp_text: 15 * 60,
+  get_user_info: 0,
+  get_webpage_ai_analysis: 0,
+  generate_wordpress_content: 0,
+  generate_social_content: 0,
+  get_playwright_mcp: 0,
+  get_webpage_seo_analysis: 60 * 60,
+};
+
+// Sort object keys recursively and drop empty values so that argument order
+// and omitted optionals don't produce distinct cache entries
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined && value[key] !== null)
+      .reduce((acc, key) => {
+        acc[key] = normalize(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+export function cacheKey({ endpoint, method, params, body, token }) {
+  // Only a digest of the token is kept so cache files never contain credentials
+  const tokenId = ownerOf(token).substring(0, 16);
+  const material = JSON.stringify([method, endpoint, normalize(params || {}), normalize(body), tokenId]);
+  return createHash('sha256').update(material).digest('hex');
+}
+
+export class MemoryCache {
+  constructor({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    // Size of each entry's JSON, so the budget holds for the file backend too
+    this.sizes = new Map();
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.sweep();
+    this.delete(key);
+
+    const size = Buffer.byteLength(JSON.stringify(entry));
+    if (size > this.maxBytes) {
+      return;
+    }
+    this.entries.set(key, entry);
+    this.sizes.set(key, size);
+    this.bytes += size;
+
+    // Map preserves insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.bytes -= this.sizes.get(key);
+      this.sizes.delete(key);
+    }
+  }
+
+  // Drop expired entries, which would otherwise hold their share of the
+  // budget until they are read again
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+      }
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.sizes.clear();
+    this.bytes = 0;
+  }
+}
+
+export class JsonFileCache extends MemoryCache {
+  constructor({ path, maxEntries, maxBytes, writeDelayMs = 1000 } = {}) {
+    super({ maxEntries, maxBytes });
+    this.path = path;
+    this.writeDelayMs = writeDelayMs;
+    this.loaded = null;
+    this.scheduled = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.path, 'utf8')
+        .then((raw) => {
+          const now = Date.now();
+          Object.entries(JSON.parse(raw)).forEach(([key, entry]) => {
+            if (entry.expiresAt > now) {
+              // Through MemoryCache.set so the limits apply to a file written
+              // with larger ones
+              super.set(key, entry);
+            }
+          });
+        })
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.error(`Ignoring unreadable cache file ${this.path}: ${error.message}`);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    await this.load();
+    await super.set(key, entry);
+    this.persist();
+  }
+
+  async clear() {
+    await super.clear();
+    this.persist();
+  }
+
+  // Changes within writeDelayMs of the first one go out in a single write of
+  // the whole file, rather than one write per cached call
+  persist() {
+    if (!this.scheduled) {
+      this.scheduled = new Promise((resolve) => setTimeout(resolve, this.writeDelayMs))
+        .then(() => {
+          this.scheduled = null;
+          return this.write();
+        });
+    }
+    return this.scheduled;
+  }
+
+  // Resolves once every change so far is on disk
+  flush() {
+    return this.scheduled || this.writing;
+  }
+
+  write() {
+    // Chain writes so a slow write never interleaves with the next one
+    const snapshot = JSON.stringify(Object.fromEntries(this.entries));
+    this.writing = this.writing
+      .then(() => fs.writeFile(this.path, snapshot))
+      .catch((error) => console.error(`Failed to write cache file ${this.path}: ${error.message}`));
+    return this.writing;
+  }
+}
+
+export function createCache(env = process.env) {
+  const backend = (env.FETCHSERP_CACHE || 'memory').toLowerCase();
+  const maxEntries = parseInt(env.FETCHSERP_CACHE_MAX_ENTRIES, 10) || 1000;
+  const maxBytes = parseInt(env.FETCHSERP_CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+  switch (backend) {
+    case 'off':
+    case 'none':
+    case 'false':
+      return null;
+
+    case 'file':
+      return new JsonFileCache({
+        path: env.FETCHSERP_CACHE_FILE || '.fetchserp-cache.json',
+        maxEntries,
+        maxBytes,
+        writeDelayMs: parseInt(env.FETCHSERP_CACHE_WRITE_DELAY_MS, 10) || 1000,
+      });
+
+    case 'memory':
+      return new MemoryCache({ maxEntries, maxBytes });
+
+    default:
+      throw new Error(`Unknown FETCHSERP_CACHE backend: ${backend}`);
+  }
+}
+
+export function loadTtls(env = process.env) {
+  if (!env.FETCHSERP_CACHE_TTLS) {
+    return { ...DEFAULT_TTLS };
+  }
+
+  try {
+    return { ...DEFAULT_TTLS, ...JSON.parse(env.FETCHSERP_CACHE_TTLS) };
+  } catch (error) {
+    throw new Error(`FETCHSERP_CACHE_TTLS must be a JSON object of tool name to seconds: ${error.message}`);
+  }
+}
@@ -0,0 +1,30 @@
+import { createHash } from 'crypto';
+
+// Helpers shared by the tool modules.
+
+// Digest of a token. Stored results, jobs, exports, history, snapshots and
+// resource entries record it as their owner, so one caller can never list or
+// read another caller's data, and the token itself is never stored.
+export function ownerOf(token) {
+  return createHash('sha256').update(token || '').digest('hex');
+}
+
+// The body of an API response, with or without the data envelope
+export const payload = (data) => data?.data ?? data ?? {};
+
+// Keywords per get_keywords_search_volume call
+export const VOLUME_CHUNK = 50;
+
+export const chunks = (items, size) => Array.from(
+  { length: Math.ceil(items.length / size) },
+  (_, index) => items.slice(index * size, (index + 1) * size)
+);
+
+// Call another tool on behalf of the caller of a composite tool. It goes
+// through the server's normal tool path, so it is validated, cached, counted
+// against budgets and checked against the caller's tool access (unless the
+// composite tool runs for a monitor).
+export async function callTool({ server, token, signal, unrestricted }, tool, args) {
+  const { data } = await server.handleToolCall(tool, args, token, { signal, unrestricted });
+  return payload(data);
+}
@@ -0,0 +1,260 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { callTool } from './common.js';
+import { normalizeDomain } from './history.js';
+
+// compare_serps: diff two result sets for a query, e.g. google/us against
+// google/de, or a live SERP against one recorded in the rank history.
+//
+// The similarity score is the average overlap of the two rankings: the share
+// of URLs the two top-d lists have in common, averaged over every depth d.
+// It is 1 for identical rankings, 0 for disjoint ones, and weighs the top of
+// the page more than the bottom.
+
+// Ordered unique URLs with their position
+function ranked(results) {
+  const byUrl = new Map();
+  results.forEach((result, index) => {
+    if (result.url && !byUrl.has(result.url)) {
+      byUrl.set(result.url, { url: result.url, position: result.ranking ?? result.position ?? index + 1 });
+    }
+  });
+  return Array.from(byUrl.values()).sort((a, b) => a.position - b.position);
+}
+
+export function averageOverlap(a, b) {
+  const depth = Math.max(a.length, b.length);
+  if (depth === 0) {
+    return 1;
+  }
+
+  const left = new Set();
+  const right = new Set();
+  let shared = 0;
+  let total = 0;
+  for (let d = 0; d < depth; d++) {
+    [[a[d], left, right], [b[d], right, left]].forEach(([url, own, other]) => {
+      if (url !== undefined && !own.has(url)) {
+        own.add(url);
+        if (other.has(url)) {
+          shared += 1;
+        }
+      }
+    });
+    total += shared / (d + 1);
+  }
+  return total / depth;
+}
+
+function describeSide({ results, ...side }, count) {
+  return { ...side, results_count: count };
+}
+
+export function compareSerps(baseline, comparison) {
+  const before = ranked(baseline.results);
+  const after = ranked(comparison.results);
+  const afterByUrl = new Map(after.map((result) => [result.url, result]));
+  const beforeUrls = new Set(before.map(({ url }) => url));
+
+  const domains = (results) => new Set(results.map(({ url }) => normalizeDomain(url)));
+  const beforeDomains = domains(before);
+  const afterDomains = domains(after);
+
+  const union = new Set([...beforeUrls, ...afterByUrl.keys()]);
+  const common = before.filter(({ url }) => afterByUrl.has(url));
+
+  return {
+    baseline: describeSide(baseline, before.length),
+    comparison: describeSide(comparison, after.length),
+    similarity: Math.round(averageOverlap(before.map(({ url }) => url), after.map(({ url }) => url)) * 1000) / 1000,
+    url_overlap: {
+      common: common.length,
+      // Jaccard index of the two URL sets
+      ratio: union.size === 0 ? 1 : Math.round((common.length / union.size) * 1000) / 1000,
+    },
+    position_changes: common
+      .map(({ url, position }) => ({
+        url,
+        from_position: position,
+        to_position: afterByUrl.get(url).position,
+        // Positive when the URL moved up
+        delta: position - afterByUrl.get(url).position,
+      }))
+      .filter(({ delta }) => delta !== 0),
+    new_urls: after.filter(({ url }) => !beforeUrls.has(url)),
+    dropped_urls: before.filter(({ url }) => !afterByUrl.has(url)),
+    new_domains: [...afterDomains].filter((domain) => !beforeDomains.has(domain)),
+    dropped_domains: [...beforeDomains].filter((domain) => !afterDomains.has(domain)),
+  };
+}
+
+const side = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    search_engine: { type: 'string' },
+    country: { type: 'string' },
+    source: { type: 'string', enum: ['live', 'history'] },
+    recorded_at: { type: ['string', 'null'] },
+    results_count: { type: 'integer' },
+  },
+};
+
+const positioned = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { url: { type: 'string' }, position: { type: 'integer' } },
+  },
+};
+
+const outputSchema = {
+  type: 'object',
+  properties: {
+    baseline: side,
+    comparison: side,
+    similarity: { type: 'number' },
+    url_overlap: {
+      type: 'object',
+      properties: { common: { type: 'integer' }, ratio: { type: 'number' } },
+    },
+    position_changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          from_position: { type: 'integer' },
+          to_position: { type: 'integer' },
+          delta: { type: 'integer' },
+        },
+      },
+    },
+    new_urls: positioned,
+    dropped_urls: positioned,
+    new_domains: { type: 'array', items: { type: 'string' } },
+    dropped_domains: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['baseline', 'comparison', 'similarity', 'url_overlap', 'position_changes'],
+};
+
+function label({ query, search_engine: engine, country, source, recorded_at: recordedAt }) {
+  return `"${query}" ${engine}/${country} (${source === 'history' ? `recorded ${recordedAt}` : 'live'})`;
+}
+
+function summarizeComparison(result) {
+  const list = (items) => (items.length === 0 ? 'none' : items.slice(0, 10).join(', ') + (items.length > 10 ? ', …' : ''));
+  return [
+    `${label(result.baseline)} vs ${label(result.comparison)}`,
+    `Similarity ${result.similarity} (average overlap); ${result.url_overlap.common} URLs in common (Jaccard ${result.url_overlap.ratio})`,
+    ...result.position_changes.slice(0, 10).map((change) =>
+      `- ${change.url}: #${change.from_position} → #${change.to_position} (${change.delta > 0 ? '+' : ''}${change.delta})`
+    ),
+    `New domains: ${list(result.new_domains)}`,
+    `Dropped domains: ${list(result.dropped_domains)}`,
+  ].join('\n');
+}
+
+export function compareTools(history) {
+  // A live SERP through the normal tool path, or the last one recorded on or
+  // before `date`
+  const load = async ({ query, search_engine, country, pages_number, date }, context) => {
+    if (!date) {
+      const serp = await callTool(context, 'get_serp_results', { query, search_engine, country, pages_number });
+      return { query, search_engine, country, source: 'live', recorded_at: null, results: serp.results || [] };
+    }
+
+    const snapshot = history.serpSnapshot(context.token, { query, search_engine, country, date });
+    if (!snapshot) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `No SERP recorded for "${query}" on ${search_engine}/${country} on or before ${date}`
+      );
+    }
+    return { query, search_engine, country, source: 'history', recorded_at: snapshot.recorded_at, results: snapshot.results };
+  };
+
+  return [
+    {
+      name: 'compare_serps',
+      description: 'Compare two search result sets for a query: across search engines or countries, or against a SERP recorded on an earlier date. Returns URL overlap, position changes, new and dropped domains and a similarity score',
+      outputSchema,
+      summarize: summarizeComparison,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'The query to compare',
+          },
+          search_engine: {
+            type: 'string',
+            description: 'Baseline search engine (google, bing, yahoo, duckduckgo). Default: google',
+            enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+            default: 'google',
+          },
+          country: {
+            type: 'string',
+            description: 'Baseline country. Default: us',
+            default: 'us',
+          },
+          date: {
+            type: 'string',
+            description: 'Use the baseline SERP recorded in the rank history on or before this date (YYYY-MM-DD) instead of fetching it',
+          },
+          compare_query: {
+            type: 'string',
+            description: 'Query for the comparison. Default: query',
+          },
+          compare_search_engine: {
+            type: 'string',
+            description: 'Search engine for the comparison. Default: search_engine',
+            enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          },
+          compare_country: {
+            type: 'string',
+            description: 'Country for the comparison. Default: country',
+          },
+          compare_date: {
+            type: 'string',
+            description: 'Use the comparison SERP recorded on or before this date instead of fetching it live',
+          },
+          pages_number: {
+            type: 'integer',
+            description: 'The number of pages to fetch for live SERPs (1-30). Default: 1',
+            default: 1,
+            minimum: 1,
+            maximum: 30,
+          },
+        },
+        required: ['query'],
+      },
+      handler: async (args, context) => {
+        const baseline = {
+          query: args.query,
+          search_engine: args.search_engine,
+          country: args.country,
+          pages_number: args.pages_number,
+          date: args.date,
+        };
+        const comparison = {
+          query: args.compare_query || args.query,
+          search_engine: args.compare_search_engine || args.search_engine,
+          country: args.compare_country || args.country,
+          pages_number: args.pages_number,
+          date: args.compare_date,
+        };
+
+        const same = ['query', 'search_engine', 'country', 'date'].every((key) => baseline[key] === comparison[key]);
+        if (same) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'Nothing to compare: set a different compare_search_engine, compare_country, compare_query, date or compare_date'
+          );
+        }
+
+        const [before, after] = await Promise.all([load(baseline, context), load(comparison, context)]);
+        return compareSerps(before, after);
+      },
+    },
+  ];
+}
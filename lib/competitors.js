@@ -0,0 +1,251 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { mapWithConcurrency } from './batch.js';
+import { callTool, chunks, VOLUME_CHUNK } from './common.js';
+import { belongsTo, normalizeDomain } from './history.js';
+import { markdownTable } from './tables.js';
+
+// competitor_gap_analysis: where do competitors outrank us? One SERP per
+// keyword gives every domain's position at once; with deep_check, domains not
+// found in it are looked up with get_domain_ranking, which searches deeper.
+// Search volume comes from get_keywords_search_volume and domain authority
+// from get_moz_analysis.
+//
+// A gap is a keyword where a competitor ranks and we rank worse or not at all.
+// Gaps are ranked by the monthly clicks we would gain by matching the best
+// competitor's position, estimated from search volume and a typical CTR curve.
+
+// Typical organic click-through rate by position; past the first page, 1%
+const CTR = [0.28, 0.15, 0.11, 0.08, 0.07, 0.05, 0.04, 0.03, 0.03, 0.02];
+const ctrAt = (position) => (position === null ? 0 : CTR[position - 1] ?? 0.01);
+
+function gapRows(keywords, positions, volumes, target, competitors) {
+  return keywords.map((keyword) => {
+    const ours = positions[keyword].positions[target];
+    const best = competitors
+      .map((domain) => ({ domain, position: positions[keyword].positions[domain] }))
+      .filter(({ position }) => position !== null)
+      .sort((a, b) => a.position - b.position)[0] || null;
+    const volume = volumes[keyword] ?? null;
+    const gap = best !== null && (ours === null || best.position < ours);
+
+    return {
+      keyword,
+      search_volume: volume,
+      positions: positions[keyword].positions,
+      best_competitor: best,
+      gap,
+      estimated_clicks_gain: gap ? Math.round((volume ?? 0) * (ctrAt(best.position) - ctrAt(ours))) : 0,
+      error: positions[keyword].error,
+    };
+  });
+}
+
+const positionLabel = (position) => (position === null || position === undefined ? '—' : `#${position}`);
+
+function summarizeGaps(result) {
+  const { target, competitors } = result;
+  const lines = [
+    `Competitor gap analysis for ${target} vs ${competitors.join(', ')} (${result.search_engine}/${result.country})`,
+    `Domain authority: ${result.domains.map((domain) => `${domain.domain} ${domain.domain_authority ?? 'n/a'}`).join(', ')}`,
+    '',
+    markdownTable(
+      ['Keyword', 'Volume', target, ...competitors],
+      result.matrix.map((row) => [
+        row.keyword,
+        row.search_volume,
+        ...[target, ...competitors].map((domain) => (row.error ? 'error' : positionLabel(row.positions[domain]))),
+      ])
+    ),
+    '',
+  ];
+
+  if (result.gaps.length === 0) {
+    lines.push('No gaps: no competitor outranks you on these keywords.');
+  } else {
+    lines.push(`${result.gaps.length} gaps, highest priority first:`);
+    result.gaps.slice(0, 10).forEach((gap, index) => {
+      lines.push(`${index + 1}. "${gap.keyword}": ${gap.best_competitor.domain} ${positionLabel(gap.best_competitor.position)}` +
+        ` vs you ${gap.positions[target] === null ? 'not ranked' : positionLabel(gap.positions[target])}` +
+        ` (volume ${gap.search_volume ?? 'n/a'}, ~${gap.estimated_clicks_gain} clicks/month)`);
+    });
+  }
+
+  if (result.errors.length > 0) {
+    lines.push('', `${result.errors.length} lookups failed: ${result.errors.map((error) => `${error.step} ${error.item}`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export function competitorTools({ concurrency = 4 } = {}) {
+  return [
+    {
+      name: 'competitor_gap_analysis',
+      description: 'Find keywords where competitors outrank your domain. Returns a per-keyword matrix of positions for every domain, search volume and domain authority, plus the gaps ranked by estimated clicks to gain',
+      outputSchema: {
+        type: 'object',
+        properties: {
+          target: { type: 'string' },
+          competitors: { type: 'array', items: { type: 'string' } },
+          domains: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                domain: { type: 'string' },
+                domain_authority: { type: ['number', 'null'] },
+                keywords_ranked: { type: 'integer' },
+              },
+            },
+          },
+          matrix: { type: 'array', items: { type: 'object' } },
+          gaps: { type: 'array', items: { type: 'object' } },
+          errors: { type: 'array', items: { type: 'object' } },
+        },
+        required: ['target', 'competitors', 'domains', 'matrix', 'gaps'],
+      },
+      summarize: summarizeGaps,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'Your domain',
+          },
+          competitors: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Competitor domains (1-5)',
+            minItems: 1,
+            maxItems: 5,
+          },
+          keywords: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Keywords to compare on (1-100)',
+            minItems: 1,
+            maxItems: 100,
+          },
+          search_engine: {
+            type: 'string',
+            description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+            enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+            default: 'google',
+          },
+          country: {
+            type: 'string',
+            description: 'The country to search from. Default: us',
+            default: 'us',
+          },
+          pages_number: {
+            type: 'integer',
+            description: 'SERP pages to read per keyword (1-10). Default: 3',
+            default: 3,
+            minimum: 1,
+            maximum: 10,
+          },
+          deep_check: {
+            type: 'boolean',
+            description: 'Look up domains missing from the SERP with get_domain_ranking, which searches 10 pages. Costs one extra call per missing domain and keyword. Default: false',
+            default: false,
+          },
+        },
+        required: ['domain', 'competitors', 'keywords'],
+      },
+      handler: async (args, context) => {
+        const { progress } = context;
+        const target = normalizeDomain(args.domain);
+        const competitors = [...new Set(args.competitors.map(normalizeDomain))].filter((domain) => domain !== target);
+        if (competitors.length === 0) {
+          throw new McpError(ErrorCode.InvalidParams, 'competitors must include at least one domain other than your own');
+        }
+        const domains = [target, ...competitors];
+        const keywords = [...new Set(args.keywords.map((keyword) => keyword.trim()).filter(Boolean))];
+        const { search_engine: engine, country } = args;
+        const errors = [];
+
+        // Positions of every domain from one SERP per keyword
+        progress?.report(`Fetching SERPs for ${keywords.length} keywords`);
+        const positions = {};
+        await mapWithConcurrency(keywords, concurrency, async (keyword) => {
+          try {
+            const serp = await callTool(context, 'get_serp_results', {
+              query: keyword,
+              search_engine: engine,
+              country,
+              pages_number: args.pages_number,
+            });
+            const results = serp.results || [];
+            positions[keyword] = {
+              positions: Object.fromEntries(domains.map((domain) => {
+                const index = results.findIndex((result) => belongsTo(result.url, domain));
+                return [domain, index === -1 ? null : results[index].ranking ?? index + 1];
+              })),
+              error: null,
+            };
+          } catch (error) {
+            errors.push({ step: 'serp', item: keyword, message: error.message });
+            positions[keyword] = { positions: Object.fromEntries(domains.map((domain) => [domain, null])), error: error.message };
+          }
+        });
+
+        if (args.deep_check) {
+          const missing = keywords.flatMap((keyword) => domains
+            .filter((domain) => !positions[keyword].error && positions[keyword].positions[domain] === null)
+            .map((domain) => ({ keyword, domain })));
+          progress?.report(`Checking ${missing.length} missing positions with get_domain_ranking`);
+          await mapWithConcurrency(missing, concurrency, async ({ keyword, domain }) => {
+            try {
+              const ranking = await callTool(context, 'get_domain_ranking', { keyword, domain, search_engine: engine, country });
+              const best = (ranking.results || []).map((result) => result.ranking).filter(Number.isInteger).sort((a, b) => a - b)[0];
+              positions[keyword].positions[domain] = best ?? null;
+            } catch (error) {
+              errors.push({ step: 'ranking', item: `${domain} / ${keyword}`, message: error.message });
+            }
+          });
+        }
+
+        progress?.report('Fetching search volume and domain authority');
+        const volumes = {};
+        await mapWithConcurrency(chunks(keywords, VOLUME_CHUNK), concurrency, async (chunk) => {
+          try {
+            const result = await callTool(context, 'get_keywords_search_volume', { keywords: chunk, country });
+            (result.search_volume || []).forEach((entry) => {
+              volumes[entry.keyword] = entry.search_volume ?? null;
+            });
+          } catch (error) {
+            errors.push({ step: 'search_volume', item: `${chunk.length} keywords`, message: error.message });
+          }
+        });
+
+        const authority = {};
+        await mapWithConcurrency(domains, concurrency, async (domain) => {
+          try {
+            const moz = await callTool(context, 'get_moz_analysis', { domain });
+            authority[domain] = moz.domain_authority ?? null;
+          } catch (error) {
+            errors.push({ step: 'moz', item: domain, message: error.message });
+          }
+        });
+
+        const matrix = gapRows(keywords, positions, volumes, target, competitors);
+        return {
+          target,
+          competitors,
+          search_engine: engine,
+          country,
+          domains: domains.map((domain) => ({
+            domain,
+            domain_authority: authority[domain] ?? null,
+            keywords_ranked: matrix.filter((row) => row.positions[domain] !== null).length,
+          })),
+          matrix,
+          gaps: matrix
+            .filter((row) => row.gap)
+            .sort((a, b) => b.estimated_clicks_gain - a.estimated_clicks_gain
+              || (b.search_volume ?? 0) - (a.search_volume ?? 0)),
+          errors,
+        };
+      },
+    },
+  ];
+}
@@ -0,0 +1,183 @@
+import { randomUUID } from 'crypto';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+// Event stores for resumable StreamableHTTP sessions. The transport stores
+// every SSE event it sends; a client that reconnects with Last-Event-ID gets
+// the events it missed on that stream replayed.
+//
+// The SDK reuses the same stream ID for every session's standalone GET
+// stream, so each session gets its own namespaced view via forSession().
+// Event IDs look like `<namespace>:<streamId>#<sequence>`.
+//
+// Stored events are capped in size, one by one and in total: a message
+// larger than maxEventBytes is sent in full but kept for replay as a short
+// stand-in (an error for a response, asking to call again), and the oldest
+// events are evicted once all of them add up to more than maxBytes.
+//
+// Events are only kept in memory. Sessions live in the server process, so
+// after a restart there is no session to resume: the client gets a 404 and
+// must initialize a new one, and events saved to disk could never be replayed.
+
+function streamKeyOf(eventId) {
+  const index = eventId.lastIndexOf('#');
+  return index === -1 ? null : eventId.substring(0, index);
+}
+
+const sizeOf = (message) => Buffer.byteLength(JSON.stringify(message));
+
+function replayStandIn(message, bytes) {
+  if (message.id !== undefined && ('result' in message || 'error' in message)) {
+    return {
+      jsonrpc: '2.0',
+      id: message.id,
+      error: {
+        code: ErrorCode.InternalError,
+        message: `The response was too large to keep for replay (${bytes} bytes); send the request again`,
+      },
+    };
+  }
+  return {
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: { level: 'warning', logger: 'fetchserp', data: `A message was too large to keep for replay (${bytes} bytes)` },
+  };
+}
+
+export class MemoryEventStore {
+  constructor({
+    ttlMs = 15 * 60 * 1000,
+    maxEventsPerStream = 1000,
+    maxEventBytes = 1024 * 1024,
+    maxBytes = 50 * 1024 * 1024,
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEventsPerStream = maxEventsPerStream;
+    this.maxEventBytes = maxEventBytes;
+    this.maxBytes = maxBytes;
+    this.streams = new Map();
+    this.sequence = 0;
+    this.bytes = 0;
+  }
+
+  append(event) {
+    event.bytes ??= sizeOf(event.message);
+    const events = this.streams.get(event.streamKey) || [];
+    events.push(event);
+    this.streams.set(event.streamKey, events);
+    this.bytes += event.bytes;
+    if (events.length > this.maxEventsPerStream) {
+      this.bytes -= events.shift().bytes;
+    }
+    while (this.bytes > this.maxBytes) {
+      this.evictOldest();
+    }
+  }
+
+  evictOldest() {
+    let oldest = null;
+    for (const [streamKey, events] of this.streams) {
+      if (!oldest || events[0].storedAt < oldest.events[0].storedAt) {
+        oldest = { streamKey, events };
+      }
+    }
+    this.bytes -= oldest.events.shift().bytes;
+    if (oldest.events.length === 0) {
+      this.streams.delete(oldest.streamKey);
+    }
+  }
+
+  eventFor(streamKey, message) {
+    if (++this.sequence % 100 === 0) {
+      this.prune();
+    }
+
+    let bytes = sizeOf(message);
+    if (bytes > this.maxEventBytes) {
+      message = replayStandIn(message, bytes);
+      bytes = sizeOf(message);
+    }
+    return {
+      id: `${streamKey}#${Date.now().toString(36)}${this.sequence.toString(36).padStart(6, '0')}`,
+      streamKey,
+      message,
+      bytes,
+      storedAt: Date.now(),
+    };
+  }
+
+  async storeEvent(streamKey, message) {
+    const event = this.eventFor(streamKey, message);
+    this.append(event);
+    return event.id;
+  }
+
+  async replayEventsAfter(lastEventId, send) {
+    const streamKey = streamKeyOf(lastEventId);
+    const events = streamKey && this.streams.get(streamKey);
+    if (!events) {
+      throw new Error(`Unknown event ID: ${lastEventId}`);
+    }
+
+    const index = events.findIndex((event) => event.id === lastEventId);
+    for (const event of events.slice(index + 1)) {
+      await send(event.id, event.message);
+    }
+    return streamKey;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [streamKey, events] of this.streams) {
+      const kept = events.filter((event) => event.storedAt >= cutoff);
+      events.slice(0, events.length - kept.length).forEach((event) => {
+        this.bytes -= event.bytes;
+      });
+      if (kept.length === 0) {
+        this.streams.delete(streamKey);
+      } else if (kept.length !== events.length) {
+        this.streams.set(streamKey, kept);
+      }
+    }
+  }
+
+  // The EventStore the SDK transport expects, scoped to one session
+  forSession() {
+    const namespace = randomUUID();
+
+    return {
+      storeEvent: (streamId, message) => this.storeEvent(`${namespace}:${streamId}`, message),
+      replayEventsAfter: async (lastEventId, { send }) => {
+        if (!lastEventId.startsWith(`${namespace}:`)) {
+          throw new Error(`Event ID does not belong to this session: ${lastEventId}`);
+        }
+        const streamKey = await this.replayEventsAfter(lastEventId, send);
+        return streamKey.substring(namespace.length + 1);
+      },
+    };
+  }
+}
+
+export function createEventStore(env = process.env) {
+  const backend = (env.FETCHSERP_EVENT_STORE || 'memory').toLowerCase();
+  const options = {
+    ttlMs: parseInt(env.FETCHSERP_EVENT_TTL_MS, 10) || 15 * 60 * 1000,
+    maxEventBytes: parseInt(env.FETCHSERP_EVENT_MAX_EVENT_BYTES, 10) || 1024 * 1024,
+    maxBytes: parseInt(env.FETCHSERP_EVENT_MAX_BYTES, 10) || 50 * 1024 * 1024,
+  };
+
+  switch (backend) {
+    case 'off':
+    case 'none':
+    case 'false':
+      return null;
+
+    case 'file':
+      throw new Error('FETCHSERP_EVENT_STORE=file is no longer supported: sessions do not survive a restart, so saved events could not be replayed. Use memory');
+
+    case 'memory':
+      return new MemoryEventStore(options);
+
+    default:
+      throw new Error(`Unknown FETCHSERP_EVENT_STORE backend: ${backend}`);
+  }
+}
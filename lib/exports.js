@@ -0,0 +1,176 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ownerOf } from './common.js';
+import { csvTable, markdownTable } from './tables.js';
+import { xlsxWorkbook } from './xlsx.js';
+
+// output_format for tools with tabular results (tools that define rows(data)).
+// json is the usual response; csv and markdown replace the text summary with
+// the table; csv_file and xlsx_file write the table to FETCHSERP_EXPORT_DIR
+// and link it as a fetchserp://exports/ resource.
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'markdown', 'csv_file', 'xlsx_file'];
+
+const URI_PREFIX = 'fetchserp://exports/';
+
+const MIME_TYPES = {
+  csv_file: 'text/csv',
+  xlsx_file: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+export function withOutputFormat({ inputSchema }) {
+  return {
+    inputSchema: {
+      ...inputSchema,
+      properties: {
+        ...inputSchema.properties,
+        output_format: {
+          type: 'string',
+          description: 'json (default), csv or markdown to get the rows as a table, or csv_file or xlsx_file to write them to the export directory and get a resource link',
+          enum: OUTPUT_FORMATS,
+          default: 'json',
+        },
+      },
+    },
+  };
+}
+
+export const isFileFormat = (format) => format in MIME_TYPES;
+
+// Nested objects become dotted columns and lists become "; "-joined cells.
+// Columns are in order of first appearance across the rows.
+export function flattenRows(items) {
+  const flatten = (value, prefix, row) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, row));
+    } else if (Array.isArray(value)) {
+      row[prefix] = value.map((item) => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+    } else {
+      row[prefix] = value;
+    }
+    return row;
+  };
+
+  const flat = items.map((item) => flatten(item, item && typeof item === 'object' ? '' : 'value', {}));
+  const headers = [...new Set(flat.flatMap((row) => Object.keys(row)))];
+  return { headers, rows: flat.map((row) => headers.map((header) => row[header] ?? null)) };
+}
+
+// Files written to the export directory, listed and served per token. The
+// index is kept in memory; files outlive it on disk.
+export class ExportStore {
+  constructor({ dir = null, maxExports = 100 } = {}) {
+    this.dir = dir;
+    this.maxExports = maxExports;
+    this.exports = new Map();
+  }
+
+  get enabled() {
+    return Boolean(this.dir);
+  }
+
+  async write(tool, format, { headers, rows }, token) {
+    const id = randomUUID();
+    const extension = format === 'xlsx_file' ? 'xlsx' : 'csv';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${tool}-${stamp}-${id.substring(0, 8)}.${extension}`;
+    const contents = format === 'xlsx_file' ? xlsxWorkbook(headers, rows, tool) : csvTable(headers, rows);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, filename);
+    await fs.writeFile(file, contents);
+
+    const entry = {
+      id,
+      tool,
+      owner: ownerOf(token),
+      filename,
+      path: file,
+      mimeType: MIME_TYPES[format],
+      rows: rows.length,
+      bytes: Buffer.byteLength(contents),
+      createdAt: new Date().toISOString(),
+    };
+    this.exports.set(id, entry);
+    while (this.exports.size > this.maxExports) {
+      this.exports.delete(this.exports.keys().next().value);
+    }
+    return entry;
+  }
+
+  uri(entry) {
+    return `${URI_PREFIX}${entry.id}/${entry.filename}`;
+  }
+
+  describe(entry) {
+    return {
+      uri: this.uri(entry),
+      name: entry.filename,
+      description: `${entry.rows} rows of ${entry.tool} results exported at ${entry.createdAt} (${entry.bytes} bytes)`,
+      mimeType: entry.mimeType,
+    };
+  }
+
+  entries(token) {
+    const owner = ownerOf(token);
+    return Array.from(this.exports.values())
+      .filter((entry) => entry.owner === owner)
+      .map((entry) => this.describe(entry));
+  }
+
+  async read(uri, token) {
+    if (!uri.startsWith(URI_PREFIX)) {
+      return null;
+    }
+    const entry = this.exports.get(uri.substring(URI_PREFIX.length).split('/')[0]);
+    if (!entry || entry.owner !== ownerOf(token)) {
+      return null;
+    }
+
+    let contents;
+    try {
+      contents = await fs.readFile(entry.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return {
+      contents: [
+        entry.mimeType === MIME_TYPES.csv_file
+          ? { uri, mimeType: entry.mimeType, text: contents.toString('utf8') }
+          : { uri, mimeType: entry.mimeType, blob: contents.toString('base64') },
+      ],
+    };
+  }
+}
+
+export function createExportStore(env = process.env) {
+  return new ExportStore({
+    dir: env.FETCHSERP_EXPORT_DIR || null,
+    maxExports: parseInt(env.FETCHSERP_MAX_EXPORTS, 10) || 100,
+  });
+}
+
+// Content items for a result in a non-json output_format
+export async function formatResult(tool, data, format, store, token) {
+  const table = flattenRows(tool.rows(data));
+
+  if (format === 'csv' || format === 'markdown') {
+    if (table.rows.length === 0) {
+      return [{ type: 'text', text: `No rows in the ${tool.name} result.` }];
+    }
+    return [{
+      type: 'text',
+      text: format === 'csv' ? csvTable(table.headers, table.rows) : markdownTable(table.headers, table.rows),
+    }];
+  }
+
+  const entry = await store.write(tool.name, format, table, token);
+  return [
+    { type: 'text', text: `Exported ${entry.rows} rows to ${entry.filename}. Read it with resources/read at ${store.uri(entry)}.` },
+    { type: 'resource_link', ...store.describe(entry) },
+  ];
+}
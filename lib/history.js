@@ -0,0 +1,538 @@
+import { appendFileSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ownerOf, payload } from './common.js';
+
+// Rank tracking history. Every fresh ranking, indexation and SERP result
+// fetched from the API is recorded, so positions can be followed over time
+// without copying results into spreadsheets. Cache hits are not recorded
+// again. Records are kept in memory, and appended to a JSON lines file when
+// one is configured.
+//
+// Records are scoped to the token that fetched them, like stored results and
+// jobs, and indexed by it. A position of null means the domain was not found
+// in the pages searched. Records older than the retention period are dropped
+// when the file is loaded and once a day after that, and past the record limit
+// the oldest are dropped; the file is rewritten without them.
+
+const SERP_TOOLS = new Set(['get_serp_results', 'get_serp_html', 'get_serp_text']);
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+export function normalizeDomain(domain) {
+  return (hostOf(/^https?:\/\//.test(domain) ? domain : `https://${domain}`) || domain).toLowerCase();
+}
+
+// A URL belongs to a domain when its host is the domain or a subdomain of it
+export function belongsTo(url, domain) {
+  const host = hostOf(url);
+  return host !== null && (host === domain || host.endsWith(`.${domain}`));
+}
+
+// Accepts a date (YYYY-MM-DD, taken as the start or end of that day in UTC)
+// or a full timestamp
+function parseDate(value, field, { endOfDay = true } = {}) {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(day ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (Number.isNaN(time)) {
+    throw new McpError(ErrorCode.InvalidParams, `${field} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  }
+  return time;
+}
+
+const seriesKey = ({ keyword, search_engine: engine, country }) => `${keyword}\u0000${engine}\u0000${country}`;
+
+const COMPACT_EVERY_MS = 24 * 60 * 60 * 1000;
+
+export class RankHistory {
+  constructor({ path = null, retentionDays = 365, maxRecords = 50000 } = {}) {
+    this.path = path;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.maxRecords = maxRecords;
+    // Oldest first, and per owner in the same order
+    this.records = [];
+    this.byOwner = new Map();
+    this.compactedAt = 0;
+    this.load();
+    this.compact();
+  }
+
+  index(record) {
+    if (!this.byOwner.has(record.owner)) {
+      this.byOwner.set(record.owner, []);
+    }
+    this.byOwner.get(record.owner).push(record);
+  }
+
+  recordsOf(token) {
+    return this.byOwner.get(ownerOf(token)) || [];
+  }
+
+  load() {
+    if (!this.path) {
+      return;
+    }
+
+    let raw;
+    try {
+      raw = readFileSync(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable rank history ${this.path}: ${error.message}`);
+      }
+      return;
+    }
+
+    raw.split('\n').filter(Boolean).forEach((line) => {
+      try {
+        const record = JSON.parse(line);
+        this.records.push(record);
+        this.index(record);
+      } catch {
+        // Skip a line truncated by a crash mid-write
+      }
+    });
+  }
+
+  append(record) {
+    if (Date.now() - this.compactedAt >= COMPACT_EVERY_MS || (this.maxRecords > 0 && this.records.length >= this.maxRecords)) {
+      this.compact();
+    }
+    this.records.push(record);
+    this.index(record);
+    if (!this.path) {
+      return;
+    }
+    try {
+      appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      console.error(`Failed to write rank history ${this.path}: ${error.message}`);
+    }
+  }
+
+  // Drop the records past the retention period (none when it is 0) and, at
+  // the record limit, the oldest tenth, so the file is not rewritten on every
+  // append. The file is rewritten if any were dropped: to a temporary file
+  // that is then renamed, so a crash mid-write keeps the previous file.
+  compact() {
+    this.compactedAt = Date.now();
+    const cutoff = this.retentionMs > 0 ? Date.now() - this.retentionMs : -Infinity;
+    let kept = this.records.filter((record) => Date.parse(record.recorded_at) >= cutoff);
+    if (this.maxRecords > 0 && kept.length >= this.maxRecords) {
+      kept = kept.slice(kept.length - Math.floor(this.maxRecords * 0.9));
+    }
+    if (kept.length === this.records.length) {
+      return;
+    }
+
+    this.records = kept;
+    this.byOwner = new Map();
+    kept.forEach((record) => this.index(record));
+    if (!this.path) {
+      return;
+    }
+    const temporary = `${this.path}.tmp`;
+    try {
+      writeFileSync(temporary, kept.map((record) => `${JSON.stringify(record)}\n`).join(''));
+      renameSync(temporary, this.path);
+    } catch (error) {
+      console.error(`Failed to compact rank history ${this.path}: ${error.message}`);
+    }
+  }
+
+  // Record a fresh API response for the tools that are tracked; others are ignored
+  record(tool, args, response, token) {
+    const data = payload(response);
+    const base = { owner: ownerOf(token), recorded_at: new Date().toISOString() };
+
+    if (tool === 'get_domain_ranking') {
+      const best = (data.results || [])
+        .filter((result) => result.ranking !== null && result.ranking !== undefined)
+        .sort((a, b) => a.ranking - b.ranking)[0];
+      this.append({
+        ...base,
+        type: 'ranking',
+        domain: normalizeDomain(args.domain),
+        keyword: args.keyword,
+        search_engine: args.search_engine || 'google',
+        country: args.country || 'us',
+        pages_number: args.pages_number ?? null,
+        position: best?.ranking ?? null,
+        url: best?.url ?? null,
+      });
+    } else if (tool === 'check_page_indexation') {
+      this.append({
+        ...base,
+        type: 'indexation',
+        domain: normalizeDomain(args.domain),
+        keyword: args.keyword,
+        indexed: data.indexed ?? null,
+        urls: data.urls || [],
+      });
+    } else if (SERP_TOOLS.has(tool) && Array.isArray(data.results)) {
+      this.append({
+        ...base,
+        type: 'serp',
+        keyword: args.query,
+        search_engine: args.search_engine || 'google',
+        country: args.country || 'us',
+        pages_number: args.pages_number ?? null,
+        results: data.results.map((result, index) => ({
+          position: result.ranking ?? index + 1,
+          url: result.url,
+        })),
+      });
+    }
+  }
+
+  // Position points for a domain: ranking lookups, plus the SERPs recorded
+  // for the keywords it has ranking lookups for, whether it appeared in them
+  // or not. SERPs for other queries say nothing about the domain.
+  positions(token, domain, { keyword, search_engine: engine, country } = {}) {
+    const records = this.recordsOf(token).filter((record) => (!keyword || record.keyword === keyword)
+      && (!engine || record.search_engine === engine)
+      && (!country || record.country === country));
+    const tracked = new Set(records
+      .filter((record) => record.type === 'ranking' && record.domain === domain)
+      .map(seriesKey));
+    const points = [];
+
+    records.forEach((record) => {
+      if (record.type === 'ranking' && record.domain === domain) {
+        points.push({ ...record, source: 'ranking' });
+      } else if (record.type === 'serp' && tracked.has(seriesKey(record))) {
+        const found = record.results.find((result) => belongsTo(result.url, domain));
+        points.push({
+          ...record,
+          source: 'serp',
+          position: found?.position ?? null,
+          url: found?.url ?? null,
+        });
+      }
+    });
+
+    return points;
+  }
+
+  history(token, { domain, keyword, search_engine, country, from, to }) {
+    const target = normalizeDomain(domain);
+    const fromTime = from ? parseDate(from, 'from', { endOfDay: false }) : -Infinity;
+    const toTime = to ? parseDate(to, 'to') : Infinity;
+    const inRange = ({ recorded_at: at }) => Date.parse(at) >= fromTime && Date.parse(at) <= toTime;
+
+    const series = new Map();
+    this.positions(token, target, { keyword, search_engine, country }).filter(inRange).forEach((point) => {
+      const key = seriesKey(point);
+      if (!series.has(key)) {
+        series.set(key, {
+          keyword: point.keyword,
+          search_engine: point.search_engine,
+          country: point.country,
+          points: [],
+        });
+      }
+      series.get(key).points.push({
+        recorded_at: point.recorded_at,
+        position: point.position,
+        url: point.url,
+        source: point.source,
+      });
+    });
+
+    const indexation = new Map();
+    this.recordsOf(token)
+      .filter((record) => record.type === 'indexation' && record.domain === target
+        && (!keyword || record.keyword === keyword) && inRange(record))
+      .forEach((record) => {
+        if (!indexation.has(record.keyword)) {
+          indexation.set(record.keyword, { keyword: record.keyword, points: [] });
+        }
+        indexation.get(record.keyword).points.push({
+          recorded_at: record.recorded_at,
+          indexed: record.indexed,
+          urls: record.urls,
+        });
+      });
+
+    return {
+      domain: target,
+      series: Array.from(series.values()),
+      indexation: Array.from(indexation.values()),
+    };
+  }
+
+  // The last SERP recorded for a query on or before a date
+  serpSnapshot(token, { query, search_engine: engine, country, date }) {
+    const time = parseDate(date, 'date');
+    return this.recordsOf(token)
+      .filter((record) => record.type === 'serp' && record.keyword === query
+        && record.search_engine === engine && record.country === country
+        && Date.parse(record.recorded_at) <= time)
+      .at(-1) || null;
+  }
+
+  // Compare the last known position on or before `from` with the last one on
+  // or before `to`, per keyword, engine and country
+  changes(token, { domain, from, to, search_engine, country }) {
+    const target = normalizeDomain(domain);
+    const fromTime = parseDate(from, 'from');
+    const toTime = to ? parseDate(to, 'to') : Date.now();
+    if (fromTime >= toTime) {
+      throw new McpError(ErrorCode.InvalidParams, 'from must be before to');
+    }
+
+    const latest = new Map();
+    const keep = (slot, point) => {
+      const key = seriesKey(point);
+      const entry = latest.get(key) || { keyword: point.keyword, search_engine: point.search_engine, country: point.country };
+      if (!entry[slot] || entry[slot].recorded_at <= point.recorded_at) {
+        entry[slot] = point;
+      }
+      latest.set(key, entry);
+    };
+
+    this.positions(token, target, { search_engine, country }).forEach((point) => {
+      const at = Date.parse(point.recorded_at);
+      if (at <= fromTime) {
+        keep('before', point);
+      }
+      if (at <= toTime) {
+        keep('after', point);
+      }
+    });
+
+    const changes = Array.from(latest.values())
+      .filter((entry) => entry.after && entry.after !== entry.before)
+      .map(({ keyword, search_engine: engine, country: market, before, after }) => {
+        const was = before?.position ?? null;
+        const now = after.position;
+        let status;
+        if (!before) {
+          status = 'new';
+        } else if (was === null && now !== null) {
+          status = 'entered';
+        } else if (was !== null && now === null) {
+          status = 'dropped';
+        } else if (was === now) {
+          status = 'unchanged';
+        } else {
+          status = now < was ? 'improved' : 'declined';
+        }
+
+        return {
+          keyword,
+          search_engine: engine,
+          country: market,
+          from_position: was,
+          to_position: now,
+          // Positive when the domain moved up
+          delta: was !== null && now !== null ? was - now : null,
+          status,
+          from_recorded_at: before?.recorded_at ?? null,
+          to_recorded_at: after.recorded_at,
+          url: after.url,
+        };
+      });
+
+    return {
+      domain: target,
+      from: new Date(fromTime).toISOString(),
+      to: new Date(toTime).toISOString(),
+      changes,
+    };
+  }
+}
+
+export function createRankHistory(env = process.env) {
+  const int = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+  return new RankHistory({
+    path: env.FETCHSERP_HISTORY_FILE || null,
+    retentionDays: int(env.FETCHSERP_HISTORY_RETENTION_DAYS, 365),
+    maxRecords: int(env.FETCHSERP_HISTORY_MAX_RECORDS, 50000),
+  });
+}
+
+const positionLabel = (position) => (position === null ? 'not ranked' : `#${position}`);
+
+function summarizeHistory(result) {
+  if (result.series.length === 0 && result.indexation.length === 0) {
+    return `No rank history recorded for ${result.domain}.`;
+  }
+  return [
+    `Rank history for ${result.domain}`,
+    ...result.series.map((series) => `- "${series.keyword}" (${series.search_engine}/${series.country}): ` +
+      series.points.map((point) => `${point.recorded_at.substring(0, 10)} ${positionLabel(point.position)}`).join(', ')),
+    ...result.indexation.map((series) => `- "${series.keyword}" indexed: ` +
+      series.points.map((point) => `${point.recorded_at.substring(0, 10)} ${point.indexed ? 'yes' : 'no'}`).join(', ')),
+  ].join('\n');
+}
+
+function summarizeChanges(result) {
+  if (result.changes.length === 0) {
+    return `No rank history for ${result.domain} up to ${result.to.substring(0, 10)}.`;
+  }
+  return [
+    `Rank changes for ${result.domain} from ${result.from.substring(0, 10)} to ${result.to.substring(0, 10)}`,
+    ...result.changes.map((change) => `- "${change.keyword}" (${change.search_engine}/${change.country}): ` +
+      `${change.from_recorded_at ? positionLabel(change.from_position) : 'no data'} → ${positionLabel(change.to_position)} ` +
+      `(${change.status}${change.delta ? `, ${change.delta > 0 ? '+' : ''}${change.delta}` : ''})`),
+  ].join('\n');
+}
+
+const filterProperties = {
+  domain: {
+    type: 'string',
+    description: 'The domain to report on',
+  },
+  search_engine: {
+    type: 'string',
+    description: 'Only this search engine (google, bing, yahoo, duckduckgo)',
+    enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+  },
+  country: {
+    type: 'string',
+    description: 'Only this country',
+  },
+};
+
+const seriesFields = {
+  keyword: { type: 'string' },
+  search_engine: { type: 'string' },
+  country: { type: 'string' },
+};
+
+const historySchema = {
+  type: 'object',
+  properties: {
+    domain: { type: 'string' },
+    series: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...seriesFields,
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                recorded_at: { type: 'string' },
+                position: { type: ['integer', 'null'] },
+                url: { type: ['string', 'null'] },
+                source: { type: 'string', enum: ['ranking', 'serp'] },
+              },
+            },
+          },
+        },
+      },
+    },
+    indexation: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          keyword: { type: 'string' },
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                recorded_at: { type: 'string' },
+                indexed: { type: ['boolean', 'null'] },
+                urls: { type: 'array' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  required: ['domain', 'series', 'indexation'],
+};
+
+const changesSchema = {
+  type: 'object',
+  properties: {
+    domain: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...seriesFields,
+          from_position: { type: ['integer', 'null'] },
+          to_position: { type: ['integer', 'null'] },
+          delta: { type: ['integer', 'null'] },
+          status: { type: 'string', enum: ['new', 'entered', 'dropped', 'unchanged', 'improved', 'declined'] },
+          from_recorded_at: { type: ['string', 'null'] },
+          to_recorded_at: { type: 'string' },
+          url: { type: ['string', 'null'] },
+        },
+      },
+    },
+  },
+  required: ['domain', 'from', 'to', 'changes'],
+};
+
+export function historyTools(history) {
+  return [
+    {
+      name: 'get_rank_history',
+      description: 'Get the recorded position history of a domain per keyword, search engine and country, from past get_domain_ranking lookups and the SERPs recorded for those keywords, along with its indexation history',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...filterProperties,
+          keyword: {
+            type: 'string',
+            description: 'Only this keyword',
+          },
+          from: {
+            type: 'string',
+            description: 'Start date (YYYY-MM-DD or ISO timestamp)',
+          },
+          to: {
+            type: 'string',
+            description: 'End date (YYYY-MM-DD or ISO timestamp)',
+          },
+        },
+        required: ['domain'],
+      },
+      handler: async (args, { token }) => history.history(token, args),
+      outputSchema: historySchema,
+      summarize: summarizeHistory,
+    },
+    {
+      name: 'get_rank_changes',
+      description: 'Compare a domain\'s recorded positions between two dates: position deltas per keyword, and keywords that entered or dropped out of the pages searched',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...filterProperties,
+          from: {
+            type: 'string',
+            description: 'Baseline date (YYYY-MM-DD or ISO timestamp); the last position recorded on or before it is used',
+          },
+          to: {
+            type: 'string',
+            description: 'Comparison date (YYYY-MM-DD or ISO timestamp). Default: now',
+          },
+        },
+        required: ['domain', 'from'],
+      },
+      handler: async (args, { token }) => history.changes(token, args),
+      outputSchema: changesSchema,
+      summarize: summarizeChanges,
+    },
+  ];
+}
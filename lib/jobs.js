@@ -0,0 +1,345 @@
+import { randomUUID } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ownerOf } from './common.js';
+
+// Background jobs for tools that take longer than some clients will wait on a
+// single tools/call. A job runs the same call (cache, budgets and retries
+// included) in a local queue; the client polls get_job_status and collects the
+// output with get_job_result.
+//
+// With a file store, jobs and their results are written to a JSON file and
+// reloaded on startup. A job that was queued or running when the server
+// stopped cannot be resumed, since its token is never written to disk, so it
+// comes back as failed.
+//
+// A job keeps calling the API after the tools/call that queued it has
+// returned, so it is not counted by the per-session limit on calls in flight.
+// Instead each token can have at most maxPerOwner jobs queued or running.
+
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+const jobSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    tool: { type: 'string' },
+    status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+    created_at: { type: 'string' },
+    started_at: { type: ['string', 'null'] },
+    finished_at: { type: ['string', 'null'] },
+    error: { type: ['string', 'null'] },
+  },
+  required: ['id', 'tool', 'status'],
+};
+
+// Schemas of a tool that accepts async: true. Its result is either the usual
+// output or { job } for a call that was queued.
+export function withAsyncMode({ inputSchema, outputSchema }) {
+  const schemas = {
+    inputSchema: {
+      ...inputSchema,
+      properties: {
+        ...inputSchema.properties,
+        async: {
+          type: 'boolean',
+          description: 'Run as a background job and return its ID immediately. Poll get_job_status, then fetch the output with get_job_result. Cannot be combined with output_format',
+        },
+      },
+    },
+  };
+
+  if (outputSchema) {
+    const { required = [], ...schema } = outputSchema;
+    schemas.outputSchema = {
+      ...schema,
+      properties: { ...schema.properties, job: jobSchema },
+      anyOf: [{ required }, { required: ['job'] }],
+    };
+  }
+
+  return schemas;
+}
+
+// What a client sees of a job: everything but its owner and result
+function describe({ owner, result, ...job }) {
+  return job;
+}
+
+export function summarizeJob({ job }) {
+  const lines = [`Job ${job.id} (${job.tool}): ${job.status}`];
+  if (job.error) {
+    lines.push(`Error: ${job.error}`);
+  }
+  if (job.status === 'queued' || job.status === 'running') {
+    lines.push('Poll get_job_status with this job_id, then fetch the output with get_job_result.');
+  }
+  return lines.join('\n');
+}
+
+export class JobQueue {
+  constructor({ concurrency = 2, ttlMs = 24 * 60 * 60 * 1000, maxJobs = 200, maxPerOwner = 4, path = null } = {}) {
+    this.concurrency = concurrency;
+    this.maxPerOwner = maxPerOwner;
+    this.ttlMs = ttlMs;
+    this.maxJobs = maxJobs;
+    this.path = path;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.writing = Promise.resolve();
+    if (path) {
+      this.load();
+    }
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable job store ${this.path}: ${error.message}`);
+      }
+      return;
+    }
+
+    saved.forEach((job) => {
+      if (!FINISHED.has(job.status)) {
+        Object.assign(job, {
+          status: 'failed',
+          error: 'Interrupted by a server restart',
+          finished_at: new Date().toISOString(),
+        });
+      }
+      this.jobs.set(job.id, job);
+    });
+    this.prune();
+  }
+
+  persist() {
+    if (!this.path) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(Array.from(this.jobs.values()));
+    this.writing = this.writing
+      .then(() => fs.writeFile(this.path, snapshot))
+      .catch((error) => console.error(`Failed to write job store ${this.path}: ${error.message}`));
+    return this.writing;
+  }
+
+  // Queue run(signal), which resolves to the job's result
+  submit(tool, token, run) {
+    this.prune();
+
+    const owner = ownerOf(token);
+    const unfinished = Array.from(this.jobs.values())
+      .filter((job) => job.owner === owner && !FINISHED.has(job.status)).length;
+    if (this.maxPerOwner > 0 && unfinished >= this.maxPerOwner) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Too many background jobs: ${unfinished} of ${this.maxPerOwner} are queued or running. ` +
+          'Wait for one to finish or cancel one with cancel_job',
+        { limit: this.maxPerOwner, unfinished }
+      );
+    }
+
+    const job = {
+      id: randomUUID(),
+      tool,
+      owner,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, run });
+    this.persist();
+    this.drain();
+    return describe(job);
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const { job, run } = this.pending.shift();
+      if (job.status !== 'queued') {
+        continue;
+      }
+
+      const controller = new AbortController();
+      this.running.set(job.id, controller);
+      job.status = 'running';
+      job.started_at = new Date().toISOString();
+      this.persist();
+
+      Promise.resolve()
+        .then(() => run(controller.signal))
+        .then((result) => {
+          if (job.status === 'running') {
+            job.status = 'succeeded';
+            job.result = result;
+          }
+        })
+        .catch((error) => {
+          if (job.status === 'running') {
+            job.status = 'failed';
+            job.error = error.message;
+          }
+        })
+        .finally(() => {
+          job.finished_at = job.finished_at || new Date().toISOString();
+          this.running.delete(job.id);
+          this.persist();
+          this.drain();
+        });
+    }
+  }
+
+  // Drop finished jobs past their TTL, then the oldest finished ones over the cap
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    const finished = Array.from(this.jobs.values()).filter((job) => FINISHED.has(job.status));
+    finished.forEach((job) => {
+      if (Date.parse(job.finished_at) < cutoff || this.jobs.size > this.maxJobs) {
+        this.jobs.delete(job.id);
+      }
+    });
+  }
+
+  find(id, token) {
+    const job = this.jobs.get(id);
+    if (!job || job.owner !== ownerOf(token)) {
+      throw new McpError(ErrorCode.InvalidParams, `Job not found: ${id}`);
+    }
+    return job;
+  }
+
+  status(id, token) {
+    return { job: describe(this.find(id, token)) };
+  }
+
+  result(id, token) {
+    const job = this.find(id, token);
+    if (job.status !== 'succeeded') {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Job ${id} has no result: it is ${job.status}${job.error ? ` (${job.error})` : ''}`,
+        { job: describe(job) }
+      );
+    }
+    return { job: describe(job), result: job.result };
+  }
+
+  cancel(id, token) {
+    const job = this.find(id, token);
+    if (FINISHED.has(job.status)) {
+      throw new McpError(ErrorCode.InvalidRequest, `Job ${id} already ${job.status}`);
+    }
+
+    job.status = 'cancelled';
+    job.finished_at = new Date().toISOString();
+    this.running.get(id)?.abort();
+    this.persist();
+    return { job: describe(job) };
+  }
+
+  list(token) {
+    const owner = ownerOf(token);
+    return {
+      jobs: Array.from(this.jobs.values())
+        .filter((job) => job.owner === owner)
+        .map(describe),
+    };
+  }
+}
+
+export function createJobQueue(env = process.env) {
+  const backend = (env.FETCHSERP_JOB_STORE || 'memory').toLowerCase();
+  if (backend !== 'memory' && backend !== 'file') {
+    throw new Error(`Unknown FETCHSERP_JOB_STORE backend: ${backend}`);
+  }
+
+  // Defaults to the limit on a session's calls in flight
+  const maxPerOwner = parseInt(env.FETCHSERP_MAX_JOBS_PER_TOKEN ?? env.FETCHSERP_MAX_CONCURRENT_CALLS, 10);
+
+  return new JobQueue({
+    concurrency: parseInt(env.FETCHSERP_JOB_CONCURRENCY, 10) || 2,
+    maxPerOwner: Number.isNaN(maxPerOwner) ? 4 : maxPerOwner,
+    ttlMs: parseInt(env.FETCHSERP_JOB_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    path: backend === 'file' ? env.FETCHSERP_JOB_STORE_FILE || '.fetchserp-jobs.json' : null,
+  });
+}
+
+const jobIdSchema = {
+  type: 'object',
+  properties: {
+    job_id: {
+      type: 'string',
+      description: 'The job ID returned by a call made with async: true',
+    },
+  },
+  required: ['job_id'],
+};
+
+const jobOutputSchema = {
+  type: 'object',
+  properties: { job: jobSchema },
+  required: ['job'],
+};
+
+export function jobTools(queue, registry) {
+  return [
+    {
+      name: 'get_job_status',
+      description: 'Get the status of a background job started with async: true (queued, running, succeeded, failed or cancelled)',
+      inputSchema: jobIdSchema,
+      handler: async ({ job_id: id }, { token }) => queue.status(id, token),
+      outputSchema: jobOutputSchema,
+      summarize: summarizeJob,
+    },
+    {
+      name: 'get_job_result',
+      description: 'Get the output of a background job once get_job_status reports it succeeded',
+      inputSchema: jobIdSchema,
+      handler: async ({ job_id: id }, { token }) => queue.result(id, token),
+      // The result has the output schema of the tool that ran the job
+      outputSchema: {
+        type: 'object',
+        properties: { job: jobSchema, result: {} },
+        required: ['job', 'result'],
+      },
+      // Rendered the way the tool that ran the job renders its own output
+      summarize: ({ job, result }) => {
+        const summarize = registry.get(job.tool)?.summarize;
+        return summarize ? summarize(result) : JSON.stringify(result, null, 2);
+      },
+    },
+    {
+      name: 'cancel_job',
+      description: 'Cancel a queued or running background job',
+      inputSchema: jobIdSchema,
+      handler: async ({ job_id: id }, { token }) => queue.cancel(id, token),
+      outputSchema: jobOutputSchema,
+      summarize: summarizeJob,
+    },
+    {
+      name: 'list_jobs',
+      description: 'List your background jobs and their status',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+      handler: async (args, { token }) => queue.list(token),
+      outputSchema: {
+        type: 'object',
+        properties: { jobs: { type: 'array', items: jobSchema } },
+        required: ['jobs'],
+      },
+      summarize: ({ jobs }) => (jobs.length === 0
+        ? 'No jobs.'
+        : jobs.map((job) => `- ${job.id} ${job.tool}: ${job.status}`).join('\n')),
+    },
+  ];
+}
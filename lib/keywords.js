@@ -0,0 +1,324 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { mapWithConcurrency } from './batch.js';
+import { callTool, chunks, VOLUME_CHUNK } from './common.js';
+import { rowsAt } from './output.js';
+import { markdownTable } from './tables.js';
+
+// build_keyword_plan: expand a seed keyword or URL into a ranked keyword plan.
+//
+//   1. get_keywords_suggestions for the seed
+//   2. get_long_tail_keywords for each search intent
+//   3. dedupe, then get_keywords_search_volume in chunks
+//   4. cluster by the most common term the keywords share, or by intent
+//
+// A failed step is reported in `errors` and the plan is built from whatever
+// the other steps returned.
+
+const INTENTS = ['informational', 'commercial', 'transactional', 'navigational'];
+const COMPETITION_ORDER = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+// Terms too common to say anything about what a keyword is about
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'the', 'to', 'vs', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your',
+]);
+
+// Intent of keywords that did not come from a long-tail call, from their
+// modifiers. Anything without one is assumed informational.
+const INTENT_PATTERNS = [
+  ['transactional', /\b(buy|price|prices|pricing|cheap|discount|coupon|deal|deals|order|purchase|subscription|free trial)\b/],
+  ['commercial', /\b(best|top|vs|versus|review|reviews|compare|comparison|alternative|alternatives)\b/],
+  ['navigational', /\b(login|log in|sign in|signup|sign up|official|website|app|download)\b/],
+];
+
+const normalizeKeyword = (keyword) => keyword.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const termsOf = (keyword) => keyword.split(/[^\p{L}\p{N}]+/u).filter((term) => term && !STOPWORDS.has(term));
+
+function inferIntent(keyword) {
+  return INTENT_PATTERNS.find(([, pattern]) => pattern.test(keyword))?.[0] || 'informational';
+}
+
+// Each keyword joins the cluster of its term shared by the most other
+// keywords. Terms of the seed itself are skipped since every keyword shares
+// them; keywords with nothing else in common fall into the seed's cluster.
+function clusterByTerms(keywords, seed) {
+  const seedTerms = new Set(termsOf(normalizeKeyword(seed)));
+  const frequency = new Map();
+  keywords.forEach((entry) => {
+    new Set(termsOf(entry.keyword)).forEach((term) => {
+      if (!seedTerms.has(term)) {
+        frequency.set(term, (frequency.get(term) || 0) + 1);
+      }
+    });
+  });
+
+  return keywords.map((entry) => {
+    const shared = termsOf(entry.keyword)
+      .filter((term) => (frequency.get(term) || 0) > 1)
+      .sort((a, b) => frequency.get(b) - frequency.get(a) || a.localeCompare(b));
+    return shared[0] || normalizeKeyword(seed);
+  });
+}
+
+const byPriority = (a, b) => (b.search_volume ?? -1) - (a.search_volume ?? -1)
+  || (COMPETITION_ORDER[a.competition] ?? 3) - (COMPETITION_ORDER[b.competition] ?? 3)
+  || a.keyword.localeCompare(b.keyword);
+
+// Keywords shown in the summary; the full plan is in structuredContent, or a
+// table or file through output_format
+const SUMMARY_KEYWORDS = 20;
+
+function summarizePlan(result) {
+  const lines = [
+    `Keyword plan for ${result.seed} (${result.country || 'default country'}): ` +
+      `${result.total_keywords} keywords in ${result.clusters.length} clusters`,
+    '',
+    ...result.clusters.slice(0, 15).map((cluster) =>
+      `- ${cluster.name}: ${cluster.keywords_count} keywords, total volume ${cluster.total_search_volume}` +
+      ` (top: ${cluster.top_keywords.join(', ')})`
+    ),
+    ...(result.clusters.length > 15 ? [`…and ${result.clusters.length - 15} more clusters`] : []),
+  ];
+  if (result.errors.length > 0) {
+    lines.push('', `${result.errors.length} steps failed: ${result.errors.map((error) => `${error.step} (${error.message})`).join('; ')}`);
+  }
+  lines.push(
+    '',
+    markdownTable(
+      ['#', 'Keyword', 'Volume', 'Competition', 'Intent', 'Cluster'],
+      result.keywords.slice(0, SUMMARY_KEYWORDS).map((entry) =>
+        [entry.rank, entry.keyword, entry.search_volume, entry.competition, entry.intent, entry.cluster]
+      )
+    )
+  );
+  if (result.keywords.length > SUMMARY_KEYWORDS) {
+    lines.push(
+      `…and ${result.keywords.length - SUMMARY_KEYWORDS} more keywords. ` +
+        'Call again with output_format csv, csv_file or xlsx_file for the full plan.'
+    );
+  }
+  return lines.join('\n');
+}
+
+export function keywordTools({ concurrency = 4 } = {}) {
+  return [
+    {
+      name: 'build_keyword_plan',
+      description: 'Build a keyword plan from a seed keyword or URL: expands it with keyword suggestions and long-tail keywords for each search intent, dedupes, adds search volume and clusters the keywords by shared terms or intent. Returns the ranked plan as structured data; output_format gives it as a table or file',
+      outputSchema: {
+        type: 'object',
+        properties: {
+          seed: { type: 'string' },
+          country: { type: ['string', 'null'] },
+          cluster_by: { type: 'string' },
+          total_keywords: { type: 'integer' },
+          keywords: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                rank: { type: 'integer' },
+                keyword: { type: 'string' },
+                search_volume: { type: ['integer', 'null'] },
+                competition: { type: ['string', 'null'] },
+                cpc: { type: ['number', 'null'] },
+                intent: { type: 'string' },
+                cluster: { type: 'string' },
+                sources: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+          clusters: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                keywords_count: { type: 'integer' },
+                total_search_volume: { type: 'integer' },
+                top_keywords: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+          errors: { type: 'array', items: { type: 'object' } },
+        },
+        required: ['seed', 'total_keywords', 'keywords', 'clusters'],
+      },
+      summarize: summarizePlan,
+      rows: rowsAt('keywords'),
+      inputSchema: {
+        type: 'object',
+        properties: {
+          keyword: {
+            type: 'string',
+            description: 'The seed keyword (optional if url provided)',
+          },
+          url: {
+            type: 'string',
+            description: 'A URL to take keyword suggestions from (optional if keyword provided)',
+          },
+          country: {
+            type: 'string',
+            description: 'The country code to search for',
+          },
+          search_intents: {
+            type: 'array',
+            items: { type: 'string', enum: INTENTS },
+            description: 'Search intents to generate long-tail keywords for. Default: all four',
+            minItems: 1,
+          },
+          long_tail_count: {
+            type: 'integer',
+            description: 'Long-tail keywords to generate per intent (1-100). Default: 10',
+            default: 10,
+            minimum: 1,
+            maximum: 100,
+          },
+          max_keywords: {
+            type: 'integer',
+            description: 'Keep at most this many keywords, seed and suggestions first (1-500). Default: 200',
+            default: 200,
+            minimum: 1,
+            maximum: 500,
+          },
+          cluster_by: {
+            type: 'string',
+            description: 'Group keywords by the terms they share, or by search intent. Default: terms',
+            enum: ['terms', 'intent'],
+            default: 'terms',
+          },
+        },
+      },
+      handler: async (args, context) => {
+        const { progress } = context;
+        if (!args.keyword && !args.url) {
+          throw new McpError(ErrorCode.InvalidParams, 'Either keyword or url is required');
+        }
+        const { country } = args;
+        const intents = [...new Set(args.search_intents || INTENTS)];
+        const errors = [];
+        const found = new Map();
+        const add = (raw, source, details = {}) => {
+          if (typeof raw !== 'string' || !normalizeKeyword(raw)) {
+            return;
+          }
+          const keyword = normalizeKeyword(raw);
+          const entry = found.get(keyword) || { keyword, sources: [], intents: [], search_volume: null, competition: null, cpc: null };
+          if (!entry.sources.includes(source)) {
+            entry.sources.push(source);
+          }
+          if (details.intent && !entry.intents.includes(details.intent)) {
+            entry.intents.push(details.intent);
+          }
+          ['search_volume', 'competition', 'cpc'].forEach((field) => {
+            entry[field] = details[field] ?? entry[field];
+          });
+          found.set(keyword, entry);
+        };
+
+        if (args.keyword) {
+          add(args.keyword, 'seed');
+        }
+
+        progress?.report('Fetching keyword suggestions');
+        try {
+          const suggestions = await callTool(context, 'get_keywords_suggestions', {
+            ...(args.url ? { url: args.url } : { keywords: [args.keyword] }),
+            country,
+          });
+          (suggestions.keywords_suggestions || []).forEach((entry) => {
+            if (typeof entry === 'string') {
+              add(entry, 'suggestion');
+            } else {
+              add(entry.keyword, 'suggestion', entry);
+            }
+          });
+        } catch (error) {
+          errors.push({ step: 'suggestions', message: error.message });
+        }
+
+        // Long-tail generation needs a keyword; for a URL seed, use its top suggestion
+        const base = args.keyword || found.keys().next().value;
+        if (base) {
+          progress?.report(`Generating long-tail keywords for ${intents.length} intents`);
+          await mapWithConcurrency(intents, concurrency, async (intent) => {
+            try {
+              const longTail = await callTool(context, 'get_long_tail_keywords', {
+                keyword: base,
+                search_intent: intent,
+                count: args.long_tail_count,
+              });
+              (longTail.long_tail_keywords || []).forEach((entry) => {
+                add(typeof entry === 'string' ? entry : entry.keyword, 'long_tail', { intent });
+              });
+            } catch (error) {
+              errors.push({ step: `long_tail ${intent}`, message: error.message });
+            }
+          });
+        } else {
+          errors.push({ step: 'long_tail', message: 'Skipped: no suggestions for the URL to use as a seed keyword' });
+        }
+
+        // Insertion order puts the seed and suggestions ahead of long-tail keywords
+        const keywords = Array.from(found.values()).slice(0, args.max_keywords);
+
+        progress?.report(`Fetching search volume for ${keywords.length} keywords`);
+        await mapWithConcurrency(chunks(keywords, VOLUME_CHUNK), concurrency, async (chunk) => {
+          try {
+            const volumes = await callTool(context, 'get_keywords_search_volume', {
+              keywords: chunk.map((entry) => entry.keyword),
+              country,
+            });
+            (volumes.search_volume || []).forEach((volume) => {
+              const entry = found.get(normalizeKeyword(volume.keyword || ''));
+              if (entry) {
+                entry.search_volume = volume.search_volume ?? entry.search_volume;
+                entry.competition = volume.competition ?? entry.competition;
+                entry.cpc = volume.cpc ?? entry.cpc;
+              }
+            });
+          } catch (error) {
+            errors.push({ step: 'search_volume', message: `${chunk.length} keywords: ${error.message}` });
+          }
+        });
+
+        const seed = args.keyword ? normalizeKeyword(args.keyword) : base || args.url;
+        keywords.forEach((entry) => {
+          entry.intent = entry.intents[0] || inferIntent(entry.keyword);
+        });
+        const clusters = args.cluster_by === 'intent'
+          ? keywords.map((entry) => entry.intent)
+          : clusterByTerms(keywords, seed);
+        keywords.forEach((entry, index) => {
+          entry.cluster = clusters[index];
+        });
+
+        // Key order is the column order of the output_format tables
+        const ranked = keywords
+          .sort(byPriority)
+          .map(({ intents: _intents, sources, ...entry }, index) => ({ rank: index + 1, ...entry, sources }));
+
+        const grouped = new Map();
+        ranked.forEach((entry) => {
+          grouped.set(entry.cluster, [...(grouped.get(entry.cluster) || []), entry]);
+        });
+
+        return {
+          seed: args.keyword ? seed : args.url,
+          country: country ?? null,
+          cluster_by: args.cluster_by,
+          total_keywords: ranked.length,
+          keywords: ranked,
+          clusters: Array.from(grouped, ([name, entries]) => ({
+            name,
+            keywords_count: entries.length,
+            total_search_volume: entries.reduce((sum, entry) => sum + (entry.search_volume || 0), 0),
+            top_keywords: entries.slice(0, 3).map((entry) => entry.keyword),
+          })).sort((a, b) => b.total_search_volume - a.total_search_volume || b.keywords_count - a.keywords_count),
+          errors,
+        };
+      },
+    },
+  ];
+}
@@ -0,0 +1,562 @@
+import { createHmac, randomUUID } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import fetch from 'node-fetch';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { payload } from './common.js';
+import { validateArguments } from './validation.js';
+
+// Scheduled monitors: recurring checks the server runs on its own, posting to
+// a webhook when something got worse since the previous run.
+//
+// - rank: domain positions for a keyword list; alerts when a keyword drops by
+//   drop_threshold positions or more, or out of the pages searched
+// - backlinks: alerts when backlinks seen on the previous run are gone
+// - indexation: alerts when a keyword that was indexed no longer is
+//
+// The first run of a monitor only records a baseline. Monitors come from a
+// JSON config file (FETCHSERP_MONITORS_CONFIG) or the create_monitor tool, and
+// run with the server's FETCHSERP_API_TOKEN, so only that token (or the admin
+// token) can manage them.
+
+const INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Each check names the tool it runs, how to call it, what state to keep from
+// the result and which changes between two states raise an alert
+const CHECKS = {
+  rank: {
+    tool: 'get_domain_rankings_batch',
+    args: ({ domain, keywords, search_engine, country, pages_number }) => ({ domain, keywords, search_engine, country, pages_number }),
+    // Keywords that failed this run keep their previous position
+    state: (data, previous = {}) => ({
+      ...previous,
+      ...Object.fromEntries(data.results.filter((row) => !row.error).map((row) => [row.keyword, row.position])),
+    }),
+    compare: (previous, current, { drop_threshold: threshold = 1 }) => Object.entries(current).flatMap(([keyword, position]) => {
+      const was = previous[keyword];
+      if (was === undefined || was === null) {
+        return [];
+      }
+      if (position === null) {
+        return [{ type: 'rank_lost', keyword, from_position: was, to_position: null }];
+      }
+      return position - was >= threshold
+        ? [{ type: 'rank_drop', keyword, from_position: was, to_position: position }]
+        : [];
+    }),
+  },
+  backlinks: {
+    tool: 'get_backlinks',
+    args: ({ domain, search_engine, country, pages_number }) => ({
+      domain, search_engine, country, pages_number, one_per_domain: false,
+    }),
+    state: (data) => {
+      const links = payload(data).backlinks || payload(data).results || [];
+      return [...new Set(links.map((link) => link.source_url).filter(Boolean))].sort();
+    },
+    compare: (previous, current) => {
+      const now = new Set(current);
+      const lost = previous.filter((url) => !now.has(url));
+      return lost.length > 0 ? [{ type: 'backlinks_lost', count: lost.length, source_urls: lost }] : [];
+    },
+  },
+  indexation: {
+    tool: 'check_indexation_batch',
+    args: ({ domain, keywords }) => ({ domain, keywords }),
+    state: (data, previous = {}) => ({
+      ...previous,
+      ...Object.fromEntries(data.results.filter((row) => !row.error).map((row) => [row.keyword, row.indexed])),
+    }),
+    compare: (previous, current) => Object.entries(current)
+      .filter(([keyword, indexed]) => previous[keyword] === true && indexed === false)
+      .map(([keyword]) => ({ type: 'deindexed', keyword })),
+  },
+};
+
+export const monitorSchema = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string',
+      description: 'What to check: rank (positions for keywords), backlinks (lost backlinks) or indexation (keywords no longer indexed)',
+      enum: Object.keys(CHECKS),
+    },
+    name: {
+      type: 'string',
+      description: 'A label for the monitor, included in alerts',
+    },
+    domain: {
+      type: 'string',
+      description: 'The domain to monitor',
+    },
+    keywords: {
+      type: 'array',
+      description: 'Keywords to check (required for rank and indexation monitors, 1-100)',
+      items: { type: 'string' },
+      minItems: 1,
+      maxItems: 100,
+    },
+    search_engine: {
+      type: 'string',
+      description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+      enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+      default: 'google',
+    },
+    country: {
+      type: 'string',
+      description: 'The country to search from. Default: us',
+      default: 'us',
+    },
+    pages_number: {
+      type: 'integer',
+      description: 'The number of pages to search (1-30)',
+      minimum: 1,
+      maximum: 30,
+    },
+    interval: {
+      type: 'string',
+      description: 'How often to run (hourly, daily, weekly). Default: daily',
+      enum: Object.keys(INTERVALS),
+      default: 'daily',
+    },
+    interval_minutes: {
+      type: 'integer',
+      description: 'Run every this many minutes instead of interval',
+      minimum: 1,
+    },
+    drop_threshold: {
+      type: 'integer',
+      description: 'Rank monitors: alert when a keyword drops by at least this many positions. Default: 1',
+      minimum: 1,
+      default: 1,
+    },
+    webhook_url: {
+      type: 'string',
+      description: 'URL to POST alerts to. Default: FETCHSERP_MONITOR_WEBHOOK_URL',
+    },
+  },
+  required: ['type', 'domain'],
+};
+
+// Validate a monitor definition from the config file or create_monitor
+export function parseMonitor(definition) {
+  const { value, errors } = validateArguments(monitorSchema, definition);
+  if (['rank', 'indexation'].includes(value.type) && !value.keywords) {
+    errors.push({ field: 'keywords', message: `is required for ${value.type} monitors` });
+  }
+  if (value.webhook_url && !/^https?:\/\//.test(value.webhook_url)) {
+    errors.push({ field: 'webhook_url', message: 'must be an http(s) URL' });
+  }
+  if (errors.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid monitor: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+      { errors }
+    );
+  }
+  return value;
+}
+
+function intervalOf(monitor) {
+  return monitor.interval_minutes ? monitor.interval_minutes * 60 * 1000 : INTERVALS[monitor.interval];
+}
+
+// What a client sees of a monitor: its definition and last run, not its state
+function describe({ state, ...monitor }) {
+  return {
+    ...monitor,
+    next_run_at: monitor.last_run_at
+      ? new Date(Date.parse(monitor.last_run_at) + intervalOf(monitor)).toISOString()
+      : null,
+  };
+}
+
+// Monitors spend the server's credits, so they need its token to run
+function requireToken(token) {
+  if (!token) {
+    throw new McpError(ErrorCode.InvalidRequest, 'Monitors run with the server\'s FETCHSERP_API_TOKEN, which is not set');
+  }
+}
+
+export class MonitorScheduler {
+  constructor({ runTool, apiToken = null, monitors = [], path = null, webhookUrl = null, webhookSecret = null, tickMs = 60 * 1000 }) {
+    this.runTool = runTool;
+    this.apiToken = apiToken;
+    this.path = path;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret;
+    this.tickMs = tickMs;
+    this.monitors = new Map();
+    this.writing = Promise.resolve();
+    this.ticking = false;
+    this.timer = null;
+
+    if (monitors.length > 0 && !apiToken) {
+      throw new Error('FETCHSERP_MONITORS_CONFIG defines monitors, which run with FETCHSERP_API_TOKEN: set it as well');
+    }
+    const saved = path ? this.load() : [];
+    monitors.forEach((definition, index) => {
+      const id = definition.id || `config-${index + 1}`;
+      const previous = saved.find((monitor) => monitor.id === id);
+      this.monitors.set(id, {
+        ...this.initial(id, 'config'),
+        ...(previous && { last_run_at: previous.last_run_at, state: previous.state }),
+        ...parseMonitor(definition),
+      });
+    });
+    saved.filter((monitor) => monitor.source === 'tool').forEach((monitor) => this.monitors.set(monitor.id, monitor));
+  }
+
+  initial(id, source) {
+    return {
+      id,
+      source,
+      created_at: new Date().toISOString(),
+      last_run_at: null,
+      last_error: null,
+      last_alerts: [],
+      last_alert_at: null,
+      state: null,
+    };
+  }
+
+  load() {
+    try {
+      return JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable monitors file ${this.path}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  persist() {
+    if (!this.path) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(Array.from(this.monitors.values()));
+    // Written to a temporary file and renamed, so a server stopped mid-write
+    // keeps the previous file instead of an empty one
+    const temporary = `${this.path}.tmp`;
+    this.writing = this.writing
+      .then(() => fs.writeFile(temporary, snapshot))
+      .then(() => fs.rename(temporary, this.path))
+      .catch((error) => console.error(`Failed to write monitors file ${this.path}: ${error.message}`));
+    return this.writing;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.tickMs);
+      this.timer.unref();
+    }
+  }
+
+  // Run every due monitor, one at a time
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+    try {
+      for (const monitor of this.monitors.values()) {
+        if (!monitor.last_run_at || Date.now() - Date.parse(monitor.last_run_at) >= intervalOf(monitor)) {
+          await this.run(monitor).catch(() => {});
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async run(monitor) {
+    const check = CHECKS[monitor.type];
+    monitor.last_run_at = new Date().toISOString();
+
+    try {
+      requireToken(this.apiToken);
+      const data = await this.runTool(check.tool, check.args(monitor), this.apiToken);
+      const baseline = monitor.state === null;
+      const state = check.state(data, monitor.state ?? undefined);
+      const alerts = baseline ? [] : check.compare(monitor.state, state, monitor);
+      monitor.state = state;
+      monitor.last_error = null;
+
+      let delivery = null;
+      if (alerts.length > 0) {
+        monitor.last_alerts = alerts;
+        monitor.last_alert_at = monitor.last_run_at;
+        delivery = await this.notify(monitor, alerts);
+      }
+      return { monitor: describe(monitor), baseline, alerts, webhook: delivery };
+    } catch (error) {
+      monitor.last_error = error.message;
+      console.error(`Monitor ${monitor.id} failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.persist();
+    }
+  }
+
+  // POST the alerts to the monitor's webhook, signed with an HMAC of the body
+  // when FETCHSERP_MONITOR_WEBHOOK_SECRET is set
+  async notify(monitor, alerts) {
+    const url = monitor.webhook_url || this.webhookUrl;
+    if (!url) {
+      return { delivered: false, reason: 'No webhook configured' };
+    }
+
+    const body = JSON.stringify({
+      event: 'monitor.alert',
+      monitor: { id: monitor.id, name: monitor.name ?? null, type: monitor.type, domain: monitor.domain },
+      triggered_at: monitor.last_run_at,
+      alerts,
+    });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'fetchserp-mcp-server' };
+    if (this.webhookSecret) {
+      headers['X-FetchSERP-Signature'] = `sha256=${createHmac('sha256', this.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 10 * 1000);
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return { delivered: true, status: response.status };
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? 'timed out' : error.message;
+      console.error(`Webhook for monitor ${monitor.id} failed: ${reason}`);
+      monitor.last_error = `Webhook failed: ${reason}`;
+      return { delivered: false, reason };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  find(id) {
+    const monitor = this.monitors.get(id);
+    if (!monitor) {
+      throw new McpError(ErrorCode.InvalidParams, `Monitor not found: ${id}`);
+    }
+    return monitor;
+  }
+
+  create(definition) {
+    requireToken(this.apiToken);
+    const monitor = { ...this.initial(randomUUID(), 'tool'), ...parseMonitor(definition) };
+    this.monitors.set(monitor.id, monitor);
+    this.persist();
+    return { monitor: describe(monitor) };
+  }
+
+  delete(id) {
+    const monitor = this.find(id);
+    if (monitor.source === 'config') {
+      throw new McpError(ErrorCode.InvalidRequest, `Monitor ${id} is defined in the monitors config file; remove it there`);
+    }
+    this.monitors.delete(id);
+    this.persist();
+    return { deleted: id };
+  }
+
+  list() {
+    return { monitors: Array.from(this.monitors.values()).map(describe) };
+  }
+}
+
+export function createMonitorScheduler(runTool, env = process.env) {
+  let monitors = [];
+  if (env.FETCHSERP_MONITORS_CONFIG) {
+    try {
+      monitors = JSON.parse(readFileSync(env.FETCHSERP_MONITORS_CONFIG, 'utf8'));
+    } catch (error) {
+      throw new Error(`FETCHSERP_MONITORS_CONFIG must point to a JSON array of monitors: ${error.message}`);
+    }
+  }
+
+  return new MonitorScheduler({
+    runTool,
+    apiToken: env.FETCHSERP_API_TOKEN || null,
+    monitors,
+    path: env.FETCHSERP_MONITORS_FILE || null,
+    webhookUrl: env.FETCHSERP_MONITOR_WEBHOOK_URL || null,
+    webhookSecret: env.FETCHSERP_MONITOR_WEBHOOK_SECRET || null,
+    tickMs: parseInt(env.FETCHSERP_MONITOR_TICK_MS, 10) || 60 * 1000,
+  });
+}
+
+function summarizeMonitor(monitor) {
+  const every = monitor.interval_minutes ? `every ${monitor.interval_minutes} min` : monitor.interval;
+  const what = monitor.keywords ? ` (${monitor.keywords.length} keywords)` : '';
+  return `${monitor.id} ${monitor.name ? `"${monitor.name}" ` : ''}${monitor.type} ${monitor.domain}${what}, ${every}; ` +
+    `last run ${monitor.last_run_at || 'never'}${monitor.last_error ? `, error: ${monitor.last_error}` : ''}`;
+}
+
+function summarizeAlert(alert) {
+  switch (alert.type) {
+    case 'rank_drop':
+      return `- "${alert.keyword}" dropped from #${alert.from_position} to #${alert.to_position}`;
+    case 'rank_lost':
+      return `- "${alert.keyword}" dropped out of the pages searched (was #${alert.from_position})`;
+    case 'backlinks_lost':
+      return `- ${alert.count} backlinks lost: ${alert.source_urls.slice(0, 10).join(', ')}`;
+    case 'deindexed':
+      return `- "${alert.keyword}" is no longer indexed`;
+    default:
+      return `- ${alert.type}`;
+  }
+}
+
+function summarizeRun(result) {
+  if (result.baseline) {
+    return `Baseline recorded for monitor ${result.monitor.id}; later runs alert on changes from it.`;
+  }
+  if (result.alerts.length === 0) {
+    return `Monitor ${result.monitor.id}: no alerts.`;
+  }
+  return [
+    `Monitor ${result.monitor.id}: ${result.alerts.length} alert(s)`,
+    ...result.alerts.map(summarizeAlert),
+    result.webhook.delivered ? 'Webhook delivered.' : `Webhook not delivered: ${result.webhook.reason}`,
+  ].join('\n');
+}
+
+const alertSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['rank_drop', 'rank_lost', 'backlinks_lost', 'deindexed'] },
+    keyword: { type: 'string' },
+    from_position: { type: ['integer', 'null'] },
+    to_position: { type: ['integer', 'null'] },
+    count: { type: 'integer' },
+    source_urls: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['type'],
+};
+
+// A monitor as describe() returns it: the definition plus its run history
+const describedMonitor = {
+  type: 'object',
+  properties: {
+    ...monitorSchema.properties,
+    id: { type: 'string' },
+    source: { type: 'string', enum: ['config', 'tool'] },
+    created_at: { type: 'string' },
+    last_run_at: { type: ['string', 'null'] },
+    last_error: { type: ['string', 'null'] },
+    last_alerts: { type: 'array', items: alertSchema },
+    last_alert_at: { type: ['string', 'null'] },
+    next_run_at: { type: ['string', 'null'] },
+  },
+  required: ['id', 'type', 'domain'],
+};
+
+export function monitorTools(scheduler) {
+  // Monitors spend the server's credits, so they are managed with its token
+  const authorize = (token) => {
+    const allowed = [process.env.FETCHSERP_API_TOKEN, process.env.FETCHSERP_ADMIN_TOKEN].filter(Boolean);
+    if (!allowed.includes(token)) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'Monitors run with the server\'s FETCHSERP_API_TOKEN and can only be managed with it or FETCHSERP_ADMIN_TOKEN'
+      );
+    }
+  };
+
+  const monitorId = {
+    type: 'object',
+    properties: {
+      monitor_id: {
+        type: 'string',
+        description: 'The monitor ID from create_monitor or list_monitors',
+      },
+    },
+    required: ['monitor_id'],
+  };
+
+  return [
+    {
+      name: 'create_monitor',
+      description: 'Create a recurring check the server runs on its own: rank positions for keywords, lost backlinks, or keywords no longer indexed. Alerts are POSTed to a webhook',
+      inputSchema: monitorSchema,
+      handler: async (args, { token }) => {
+        authorize(token);
+        return scheduler.create(args);
+      },
+      outputSchema: {
+        type: 'object',
+        properties: { monitor: describedMonitor },
+        required: ['monitor'],
+      },
+      summarize: ({ monitor }) => `Created monitor ${summarizeMonitor(monitor)}`,
+    },
+    {
+      name: 'list_monitors',
+      description: 'List the scheduled monitors with their last run, last error and last alerts',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+      handler: async (args, { token }) => {
+        authorize(token);
+        return scheduler.list();
+      },
+      outputSchema: {
+        type: 'object',
+        properties: { monitors: { type: 'array', items: describedMonitor } },
+        required: ['monitors'],
+      },
+      summarize: ({ monitors }) => (monitors.length === 0
+        ? 'No monitors.'
+        : monitors.map((monitor) => `- ${summarizeMonitor(monitor)}`).join('\n')),
+    },
+    {
+      name: 'delete_monitor',
+      description: 'Delete a monitor created with create_monitor',
+      inputSchema: monitorId,
+      handler: async ({ monitor_id: id }, { token }) => {
+        authorize(token);
+        return scheduler.delete(id);
+      },
+      outputSchema: {
+        type: 'object',
+        properties: { deleted: { type: 'string' } },
+        required: ['deleted'],
+      },
+      summarize: ({ deleted }) => `Deleted monitor ${deleted}.`,
+    },
+    {
+      name: 'run_monitor',
+      description: 'Run a monitor now instead of waiting for its schedule, and report any alerts',
+      inputSchema: monitorId,
+      handler: async ({ monitor_id: id }, { token }) => {
+        authorize(token);
+        return scheduler.run(scheduler.find(id));
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          monitor: describedMonitor,
+          baseline: { type: 'boolean' },
+          alerts: { type: 'array', items: alertSchema },
+          webhook: {
+            type: ['object', 'null'],
+            properties: {
+              delivered: { type: 'boolean' },
+              status: { type: 'integer' },
+              reason: { type: 'string' },
+            },
+          },
+        },
+        required: ['monitor', 'baseline', 'alerts'],
+      },
+      summarize: summarizeRun,
+    },
+  ];
+}
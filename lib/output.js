@@ -0,0 +1,268 @@
+import { payload } from './common.js';
+
+// Output schemas and text summaries for the built-in tools. The full upstream
+// response is returned as structuredContent; the summary is what lands in the
+// model's context, so it keeps to the handful of fields that matter.
+
+const TEXT_LIMIT = 1500;
+const LIST_LIMIT = 10;
+
+// Every FetchSERP response wraps its payload in { data: ... }. Schemas only
+// type the fields the summaries rely on and allow anything else through.
+function envelope(properties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      data: {
+        type: 'object',
+        properties,
+      },
+    },
+    required: ['data'],
+  };
+}
+
+const resultList = (itemProperties) => ({
+  type: 'array',
+  items: { type: 'object', properties: itemProperties },
+});
+
+const serpResult = {
+  ranking: { type: ['integer', 'null'] },
+  site_name: { type: ['string', 'null'] },
+  url: { type: 'string' },
+  title: { type: ['string', 'null'] },
+  description: { type: ['string', 'null'] },
+};
+
+export const outputSchemas = {
+  backlinks: envelope({
+    domain: { type: 'string' },
+    total_backlinks: { type: 'integer' },
+    total_referring_domains: { type: 'integer' },
+    backlinks: resultList({
+      source_url: { type: 'string' },
+      target_url: { type: ['string', 'null'] },
+      anchor_text: { type: ['string', 'null'] },
+      referring_domain: { type: 'string' },
+      nofollow: { type: ['boolean', 'null'] },
+    }),
+    referring_domains: resultList({
+      referring_domain: { type: 'string' },
+      links: { type: 'integer' },
+      nofollow_links: { type: 'integer' },
+    }),
+  }),
+  emails: envelope({
+    domain: { type: 'string' },
+    results: resultList({ email: { type: 'string' }, url: { type: ['string', 'null'] } }),
+  }),
+  domainInfo: envelope({ domain: { type: 'string' } }),
+  searchVolume: envelope({
+    search_volume: resultList({ keyword: { type: 'string' }, search_volume: { type: ['integer', 'null'] } }),
+  }),
+  keywordSuggestions: envelope({
+    keywords_suggestions: { type: 'array' },
+  }),
+  longTail: envelope({
+    keyword: { type: 'string' },
+    long_tail_keywords: { type: 'array' },
+  }),
+  moz: envelope({ domain: { type: 'string' } }),
+  indexation: envelope({
+    domain: { type: 'string' },
+    keyword: { type: 'string' },
+    indexed: { type: ['boolean', 'null'] },
+  }),
+  ranking: envelope({ results: resultList(serpResult) }),
+  scrape: envelope({ url: { type: 'string' } }),
+  scrapeDomain: envelope({
+    domain: { type: 'string' },
+    results: resultList({ url: { type: 'string' } }),
+  }),
+  serp: envelope({
+    search_engine: { type: 'string' },
+    query: { type: 'string' },
+    country: { type: 'string' },
+    results: resultList(serpResult),
+  }),
+  serpAiMode: envelope({
+    query: { type: 'string' },
+    results: resultList(serpResult),
+  }),
+  user: envelope({}),
+  generic: envelope({}),
+};
+
+// rows(data) for tools with an output_format: the first list found under the
+// given keys
+export function rowsAt(...keys) {
+  return (result) => {
+    const data = payload(result) || {};
+    return keys.map((key) => data[key]).find(Array.isArray) || [];
+  };
+}
+
+function truncate(text, limit = TEXT_LIMIT) {
+  if (typeof text !== 'string') {
+    text = JSON.stringify(text);
+  }
+  return text.length > limit ? `${text.substring(0, limit)}… (${text.length - limit} more characters)` : text;
+}
+
+function moreLine(total) {
+  return total > LIST_LIMIT ? [`…and ${total - LIST_LIMIT} more`] : [];
+}
+
+function keyValues(data, fields) {
+  return fields
+    .filter((field) => data[field] !== undefined && data[field] !== null)
+    .map((field) => `${field}: ${typeof data[field] === 'object' ? JSON.stringify(data[field]) : data[field]}`);
+}
+
+function serpLines(results = []) {
+  return [
+    ...results.slice(0, LIST_LIMIT).map((result, index) =>
+      `${result.ranking ?? result.position ?? index + 1}. ${result.title || result.site_name || '(untitled)'} — ${result.url}`
+    ),
+    ...moreLine(results.length),
+  ];
+}
+
+export function summarizeSerp(result) {
+  const data = payload(result) || {};
+  const results = data.results || [];
+  const header = `Top ${Math.min(results.length, LIST_LIMIT)} of ${results.length} organic results` +
+    (data.query ? ` for "${data.query}"` : '') +
+    (data.search_engine ? ` (${data.search_engine}${data.country ? `/${data.country}` : ''})` : '');
+  return [header, ...serpLines(results)].join('\n');
+}
+
+export function summarizeSerpAiMode(result) {
+  const data = payload(result) || {};
+  const overview = data.ai_overview?.content ?? data.ai_overview;
+  const aiMode = data.ai_mode_response?.content ?? data.ai_mode_response;
+  return [
+    `AI results for "${data.query}"`,
+    overview ? `AI Overview: ${truncate(overview, 600)}` : 'AI Overview: none',
+    aiMode ? `AI Mode: ${truncate(aiMode, 600)}` : 'AI Mode: none',
+    ...(data.results?.length ? ['Organic results:', ...serpLines(data.results)] : []),
+  ].join('\n');
+}
+
+export function summarizeRanking(result) {
+  const results = payload(result)?.results || [];
+  if (results.length === 0) {
+    return 'Domain not found in the searched result pages.';
+  }
+  return ['Domain ranking positions:', ...serpLines(results)].join('\n');
+}
+
+export function summarizeBacklinks(result) {
+  const data = payload(result) || {};
+  const backlinks = data.backlinks || data.results || [];
+  const domains = data.total_referring_domains !== undefined
+    ? ` from ${data.total_referring_domains} referring domains`
+    : '';
+  return [
+    `${data.total_backlinks ?? backlinks.length} backlinks${domains}${data.domain ? ` for ${data.domain}` : ''}`,
+    ...backlinks.slice(0, LIST_LIMIT).map((link) =>
+      `- ${link.source_url} → ${link.target_url}${link.anchor_text ? ` ("${link.anchor_text}")` : ''}` +
+        `${link.nofollow ? ' [nofollow]' : ''}`
+    ),
+    ...moreLine(backlinks.length),
+  ].join('\n');
+}
+
+export function summarizeEmails(result) {
+  const data = payload(result) || {};
+  const emails = data.results || data.emails || [];
+  return [
+    `${emails.length} emails${data.domain ? ` found for ${data.domain}` : ''}`,
+    ...emails.slice(0, LIST_LIMIT).map((entry) =>
+      typeof entry === 'string' ? `- ${entry}` : `- ${entry.email}${entry.url ? ` (${entry.url})` : ''}`
+    ),
+    ...moreLine(emails.length),
+  ].join('\n');
+}
+
+export function summarizeSearchVolume(result) {
+  const volumes = payload(result)?.search_volume || [];
+  return [
+    `Search volume for ${volumes.length} keywords:`,
+    ...volumes.map((entry) =>
+      `- ${entry.keyword}: ${entry.search_volume ?? 'n/a'}${entry.competition ? ` (competition ${entry.competition})` : ''}`
+    ),
+  ].join('\n');
+}
+
+export function summarizeKeywordList(result) {
+  const data = payload(result) || {};
+  const keywords = data.keywords_suggestions || data.long_tail_keywords || data.results || [];
+  return [
+    `${keywords.length} keywords${data.keyword ? ` for "${data.keyword}"` : ''}:`,
+    ...keywords.slice(0, 25).map((entry) =>
+      typeof entry === 'string'
+        ? `- ${entry}`
+        : `- ${entry.keyword}${entry.search_volume !== undefined ? ` (${entry.search_volume})` : ''}`
+    ),
+    ...(keywords.length > 25 ? [`…and ${keywords.length - 25} more`] : []),
+  ].join('\n');
+}
+
+export function summarizeDomainInfo(result) {
+  const data = payload(result) || {};
+  return [
+    `Domain info for ${data.domain}`,
+    ...keyValues(data, ['whois', 'ssl', 'technology_stack', 'dns_records']).map((line) => truncate(line, 400)),
+  ].join('\n');
+}
+
+export function summarizeIndexation(result) {
+  const data = payload(result) || {};
+  const status = data.indexed === true ? 'indexed' : data.indexed === false ? 'not indexed' : 'unknown';
+  return `${data.domain} is ${status} for "${data.keyword}"` +
+    (data.urls?.length ? `\n${data.urls.slice(0, LIST_LIMIT).map((url) => `- ${url}`).join('\n')}` : '');
+}
+
+export function summarizeScrape(result) {
+  const data = payload(result) || {};
+  const content = data.result ?? data.html ?? data.content;
+  return [
+    `Scraped ${data.url}${data.status_code ? ` (HTTP ${data.status_code})` : ''}`,
+    content !== undefined ? truncate(content) : '',
+  ].filter(Boolean).join('\n');
+}
+
+export function summarizeScrapeDomain(result) {
+  const data = payload(result) || {};
+  const pages = data.results || data.pages || [];
+  return [
+    `Scraped ${pages.length} pages${data.domain ? ` from ${data.domain}` : ''}:`,
+    ...pages.slice(0, 25).map((page) => `- ${page.url}${page.status_code ? ` (${page.status_code})` : ''}`),
+    ...(pages.length > 25 ? [`…and ${pages.length - 25} more`] : []),
+  ].join('\n');
+}
+
+export function summarizeFields(result) {
+  const data = payload(result) || {};
+  if (typeof data !== 'object') {
+    return truncate(data);
+  }
+  return Object.entries(data)
+    .map(([key, value]) => truncate(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`, 400))
+    .join('\n');
+}
+
+// Free-form AI output: keep the text, truncated
+export function summarizeText(result) {
+  const data = payload(result) || {};
+  if (typeof data !== 'object') {
+    return truncate(data);
+  }
+  const text = data.response ?? data.analysis ?? data.content;
+  return [
+    data.title ? `Title: ${data.title}` : '',
+    text !== undefined ? truncate(text) : truncate(JSON.stringify(data)),
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,33 @@
+// Sends MCP notifications/progress for a request that carried a progressToken.
+// The upstream API gives no intermediate progress, so each notification is a
+// step (request sent, retry, still waiting) with a monotonically increasing
+// counter; done() closes the sequence with progress === total.
+export function createProgressReporter(progressToken, sendNotification, intervalMs = 5000) {
+  if (progressToken === undefined || progressToken === null) {
+    return null;
+  }
+
+  let progress = 0;
+  const send = (params) => sendNotification({
+    method: 'notifications/progress',
+    params: { progressToken, ...params },
+  }).catch((error) => console.error('Failed to send progress notification:', error.message));
+
+  return {
+    report(message) {
+      progress += 1;
+      return send({ progress, message });
+    },
+    // Report every intervalMs until the returned stop function is called, so
+    // clients see a long upstream call is still alive
+    keepalive(describe) {
+      const startedAt = Date.now();
+      const timer = setInterval(() => this.report(describe(Date.now() - startedAt)), intervalMs);
+      return () => clearInterval(timer);
+    },
+    done(message = 'Done') {
+      progress += 1;
+      return send({ progress, total: progress, message });
+    },
+  };
+}
@@ -0,0 +1,229 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// MCP prompts: ready-made SEO workflows that tell the model which tools to
+// chain. A prompt is a template with {argument} placeholders, rendered into a
+// single user message by prompts/get. Built-in prompts are defined below;
+// users add their own as files in FETCHSERP_PROMPTS_DIR:
+//
+//   name.json  { "name", "description", "arguments": [{ "name", "description",
+//               "required", "default" }], "tools", "template" }
+//   name.md    the template itself; the name is the file name, a leading
+//              "# Title" line becomes the description and every placeholder
+//              is a required argument
+//
+// A user prompt with the name of a built-in one replaces it. "tools" lists the
+// tools a prompt needs; without it, every tool its template names. A caller
+// only sees the prompts whose tools its tool profile allows.
+
+export const builtinPrompts = [
+  {
+    name: 'seo_audit',
+    description: 'Full SEO audit of a domain: technical setup, authority, on-page SEO, indexation and backlinks',
+    tools: ['get_domain_info', 'get_moz_analysis', 'get_webpage_seo_analysis', 'get_backlinks', 'check_page_indexation', 'get_domain_ranking'],
+    arguments: [
+      { name: 'domain', description: 'The domain to audit', required: true },
+      {
+        name: 'keyword',
+        description: 'A keyword the domain should rank for',
+        required: false,
+        default: 'none given, so use the main topic of the home page from step 3',
+      },
+    ],
+    template: `Run a full SEO audit of {domain} with the FetchSERP tools and write up the findings.
+
+1. get_domain_info for {domain}: DNS, WHOIS, SSL certificate and technology stack. Flag an expiring certificate or domain.
+2. get_moz_analysis for {domain}: domain authority, page authority and spam score.
+3. get_webpage_seo_analysis for https://{domain}/: title, meta description, headings, content and technical issues.
+4. get_backlinks for {domain}: how many backlinks and referring domains it has, and how many are nofollow.
+5. check_page_indexation and get_domain_ranking for {domain} with this keyword: {keyword}.
+
+Finish with a prioritized list of fixes, most impactful first, each with the evidence from the tool results behind it.`,
+  },
+  {
+    name: 'track_keywords',
+    description: 'Check where a domain ranks for a list of keywords and set up tracking',
+    // get_rank_history and create_monitor are only used when available
+    tools: ['get_domain_rankings_batch', 'get_keywords_search_volume'],
+    arguments: [
+      { name: 'domain', description: 'The domain to track', required: true },
+      { name: 'keywords', description: 'Comma-separated keywords', required: true },
+      { name: 'search_engine', description: 'google, bing, yahoo or duckduckgo. Default: google', required: false, default: 'google' },
+      { name: 'country', description: 'Country code. Default: us', required: false, default: 'us' },
+    ],
+    template: `Track the rankings of {domain} for these keywords on {search_engine}/{country}: {keywords}
+
+1. get_domain_rankings_batch with domain {domain}, the keywords above as a list, search_engine {search_engine} and country {country}.
+2. get_keywords_search_volume for the same keywords and country {country}, to weigh each position by its traffic potential.
+3. If get_rank_history is available, call it for {domain} to show how each position changed since earlier checks.
+4. If create_monitor is available, offer to create a rank monitor for {domain} and these keywords so drops are alerted automatically.
+
+Report a table of keyword, position, search volume and change, then the keywords most worth improving.`,
+  },
+  {
+    name: 'find_contact_emails',
+    description: 'Find contact email addresses published on a domain',
+    tools: ['get_domain_emails', 'scrape_webpage', 'get_serp_results'],
+    arguments: [
+      { name: 'domain', description: 'The domain to search', required: true },
+    ],
+    template: `Find contact email addresses for {domain}.
+
+1. get_domain_emails for {domain}. It can take a while; pass async: true and poll get_job_status if the call times out.
+2. If few or no addresses come back, scrape_webpage the contact, about and imprint pages of {domain} (find them with get_serp_results for "site:{domain} contact") and read the addresses from the page text.
+
+List each address with the page it was found on, and group them by purpose (sales, support, press, personal). Do not guess addresses that were not found.`,
+  },
+  {
+    name: 'content_brief',
+    description: 'Content brief for a keyword, based on the pages that rank for it today',
+    tools: ['get_serp_text', 'get_webpage_seo_analysis', 'build_keyword_plan'],
+    arguments: [
+      { name: 'keyword', description: 'The target keyword', required: true },
+      { name: 'country', description: 'Country code. Default: us', required: false, default: 'us' },
+    ],
+    template: `Write a content brief for an article targeting "{keyword}" in {country}.
+
+1. get_serp_text for "{keyword}" with country {country}: read the top ranking pages to learn what they cover, their format and their depth.
+2. get_webpage_seo_analysis on the top three URLs: their titles, headings and length.
+3. build_keyword_plan with keyword "{keyword}" and country {country} for related and long-tail keywords, with search volume and intent.
+
+The brief should give the search intent, a recommended title and meta description, an outline of H2 and H3 headings, the questions to answer, the secondary keywords to include and a target length. Point out what the ranking pages miss that the article could cover better.`,
+  },
+];
+
+const PLACEHOLDER = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+function placeholdersOf(template) {
+  return [...new Set(Array.from(template.matchAll(PLACEHOLDER), (match) => match[1]))];
+}
+
+export class PromptRegistry {
+  constructor(prompts = []) {
+    this.prompts = new Map();
+    prompts.forEach((prompt) => this.register(prompt));
+  }
+
+  register(prompt, { override = false } = {}) {
+    if (!prompt || typeof prompt.name !== 'string' || !prompt.name) {
+      throw new Error('Prompt definition requires a name');
+    }
+    if (this.prompts.has(prompt.name) && !override) {
+      throw new Error(`Prompt already registered: ${prompt.name}`);
+    }
+    if (typeof prompt.template !== 'string' || !prompt.template.trim()) {
+      throw new Error(`Prompt ${prompt.name} requires a template`);
+    }
+    const args = prompt.arguments || [];
+    if (!Array.isArray(args) || args.some((arg) => typeof arg?.name !== 'string')) {
+      throw new Error(`Prompt ${prompt.name} arguments must be a list of { name, description, required }`);
+    }
+    const undeclared = placeholdersOf(prompt.template).filter((name) => !args.some((arg) => arg.name === name));
+    if (undeclared.length > 0) {
+      throw new Error(`Prompt ${prompt.name} uses undeclared arguments: ${undeclared.join(', ')}`);
+    }
+    if (prompt.tools !== undefined && (!Array.isArray(prompt.tools) || prompt.tools.some((tool) => typeof tool !== 'string'))) {
+      throw new Error(`Prompt ${prompt.name} tools must be a list of tool names`);
+    }
+
+    this.prompts.set(prompt.name, { ...prompt, arguments: args });
+    return this;
+  }
+
+  // Tools the prompt needs that allows(tool) refuses. toolNames are the
+  // registered tools, looked for in templates that do not list their tools.
+  unavailableTools(prompt, { toolNames = [], allows = () => true } = {}) {
+    const words = new Set(prompt.template.match(/[A-Za-z0-9_-]+/g));
+    return (prompt.tools ?? toolNames.filter((tool) => words.has(tool))).filter((tool) => !allows(tool));
+  }
+
+  list(access) {
+    return Array.from(this.prompts.values())
+      .filter((prompt) => this.unavailableTools(prompt, access).length === 0)
+      .map(({ name, description, arguments: args }) => ({
+        name,
+        ...(description && { description }),
+        arguments: args.map(({ name: argName, description: argDescription, required }) => ({
+          name: argName,
+          ...(argDescription && { description: argDescription }),
+          required: Boolean(required),
+        })),
+      }));
+  }
+
+  get(name, args = {}, access) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    const unavailable = this.unavailableTools(prompt, access);
+    if (unavailable.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Prompt ${name} needs tools that are not available to you: ${unavailable.join(', ')}`
+      );
+    }
+
+    const values = {};
+    const missing = [];
+    prompt.arguments.forEach((arg) => {
+      const value = typeof args[arg.name] === 'string' ? args[arg.name].trim() : '';
+      if (value) {
+        values[arg.name] = value;
+      } else if (arg.required) {
+        missing.push(arg.name);
+      } else {
+        values[arg.name] = arg.default ?? '';
+      }
+    });
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing arguments for prompt ${name}: ${missing.join(', ')}`);
+    }
+
+    return {
+      ...(prompt.description && { description: prompt.description }),
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text: prompt.template.replace(PLACEHOLDER, (match, key) => values[key] ?? match) },
+        },
+      ],
+    };
+  }
+}
+
+function markdownPrompt(name, text) {
+  const [first, ...rest] = text.split('\n');
+  const title = /^#\s+(.+)$/.exec(first.trim());
+  const template = (title ? rest.join('\n') : text).trim();
+  return {
+    name,
+    ...(title && { description: title[1].trim() }),
+    arguments: placeholdersOf(template).map((arg) => ({ name: arg, required: true })),
+    template,
+  };
+}
+
+// Register the prompts in FETCHSERP_PROMPTS_DIR (see the top of this file).
+// Files that fail to parse are skipped with a warning so one bad prompt does
+// not keep the server from starting.
+export async function loadPromptDirectory(registry, env = process.env) {
+  const dir = env.FETCHSERP_PROMPTS_DIR;
+  if (!dir) {
+    return;
+  }
+
+  const files = (await fs.readdir(dir)).filter((file) => /\.(json|md)$/.test(file)).sort();
+  for (const file of files) {
+    try {
+      const text = await fs.readFile(path.join(dir, file), 'utf8');
+      const prompt = file.endsWith('.json')
+        ? JSON.parse(text)
+        : markdownPrompt(path.basename(file, '.md'), text);
+      registry.register(prompt, { override: true });
+    } catch (error) {
+      console.error(`Skipping prompt file ${file}: ${error.message}`);
+    }
+  }
+}
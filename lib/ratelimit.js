@@ -0,0 +1,63 @@
+// Token bucket per key (Bearer token digest, client IP, ...). Each bucket holds
+// up to `capacity` requests and refills continuously at `perMinute` per minute.
+export class RateLimiter {
+  constructor({ perMinute, capacity = perMinute, idleMs = 10 * 60 * 1000 } = {}) {
+    this.perMinute = perMinute;
+    this.capacity = capacity;
+    this.idleMs = idleMs;
+    this.buckets = new Map();
+  }
+
+  get enabled() {
+    return this.perMinute > 0;
+  }
+
+  // Take one request from the key's bucket. When it is empty, report how long
+  // until the next request would be allowed.
+  take(key, now = Date.now()) {
+    if (!this.enabled) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    this.prune(now);
+
+    const refillPerMs = this.perMinute / 60000;
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  // Full buckets that have been idle carry no state worth keeping
+  prune(now) {
+    if (this.buckets.size < 1000) {
+      return;
+    }
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > this.idleMs) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+export function loadLimits(env = process.env) {
+  const int = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    perToken: new RateLimiter({ perMinute: int(env.FETCHSERP_RATE_LIMIT_PER_TOKEN, 120) }),
+    perIp: new RateLimiter({ perMinute: int(env.FETCHSERP_RATE_LIMIT_PER_IP, 300) }),
+    maxSessions: int(env.FETCHSERP_MAX_SESSIONS, 100),
+    maxConcurrentCalls: int(env.FETCHSERP_MAX_CONCURRENT_CALLS, 4),
+  };
+}
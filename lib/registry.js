@@ -0,0 +1,97 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { withOutputFormat } from './exports.js';
+import { withAsyncMode } from './jobs.js';
+
+const METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Arguments go in the query string unless the tool says otherwise
+function defaultRequest(args) {
+  return { params: args, body: null };
+}
+
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach((tool) => this.register(tool));
+  }
+
+  register(tool, { override = false } = {}) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new Error('Tool definition requires a name');
+    }
+    if (this.tools.has(tool.name) && !override) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    if (typeof tool.description !== 'string') {
+      throw new Error(`Tool ${tool.name} requires a description`);
+    }
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} requires an object inputSchema`);
+    }
+    if (tool.outputSchema && tool.outputSchema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} outputSchema must describe an object`);
+    }
+    // Local tools run a handler instead of mapping to an upstream endpoint
+    if (tool.handler !== undefined && typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} handler must be a function`);
+    }
+    if (tool.transform !== undefined && typeof tool.transform !== 'function') {
+      throw new Error(`Tool ${tool.name} transform must be a function`);
+    }
+    if (tool.rows !== undefined && typeof tool.rows !== 'function') {
+      throw new Error(`Tool ${tool.name} rows must be a function`);
+    }
+    if (!tool.handler && (typeof tool.endpoint !== 'string' || !tool.endpoint.startsWith('/'))) {
+      throw new Error(`Tool ${tool.name} requires an endpoint path starting with /`);
+    }
+
+    const method = (tool.method || 'GET').toUpperCase();
+    if (!METHODS.has(method)) {
+      throw new Error(`Tool ${tool.name} has unsupported method: ${tool.method}`);
+    }
+
+    const entry = { ...tool, method, request: tool.request || defaultRequest };
+    // Tools with tabular results can return them as CSV, Markdown or a file
+    if (tool.rows) {
+      Object.assign(entry, withOutputFormat(entry));
+    }
+    // Tools that can run as background jobs take an async flag
+    if (tool.async) {
+      Object.assign(entry, withAsyncMode(entry));
+    }
+    this.tools.set(tool.name, entry);
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  list() {
+    return Array.from(this.tools.values());
+  }
+}
+
+// Load third-party tool modules named in FETCHSERP_TOOL_MODULES (comma
+// separated paths, relative to the working directory). A module's default
+// export is either a function receiving the registry or an array of tool
+// definitions to register.
+export async function loadToolModules(registry, env = process.env) {
+  const modules = (env.FETCHSERP_TOOL_MODULES || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const modulePath of modules) {
+    const { default: plugin } = await import(pathToFileURL(path.resolve(modulePath)).href);
+
+    if (typeof plugin === 'function') {
+      await plugin(registry);
+    } else if (Array.isArray(plugin)) {
+      plugin.forEach((tool) => registry.register(tool));
+    } else {
+      throw new Error(`Tool module ${modulePath} must export a function or an array of tools`);
+    }
+  }
+}
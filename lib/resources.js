@@ -0,0 +1,158 @@
+import { EventEmitter } from 'events';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ownerOf } from './common.js';
+import { normalizeDomain } from './history.js';
+
+// The latest result of some tools, kept per token and served as resources so
+// data fetched once can be referenced again without paying for another call:
+//
+//   fetchserp://domain/{domain}/info             get_domain_info
+//   fetchserp://domain/{domain}/moz              get_moz_analysis
+//   fetchserp://serp/{engine}/{country}/{query}  get_serp_results
+//
+// The query is URI-encoded. Whenever a tool call brings data newer than the
+// stored result (a fresh fetch, or a cache entry stored later), the result is
+// replaced and an 'updated' event names the URI, which resources/subscribe
+// turns into notifications/resources/updated.
+
+const normalizeQuery = (query) => String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Per tool: the URI a call's result is stored under, ignoring case and
+// spacing differences
+const SOURCES = {
+  get_domain_info: {
+    uri: ({ domain }) => `fetchserp://domain/${normalizeDomain(domain)}/info`,
+  },
+  get_moz_analysis: {
+    uri: ({ domain }) => `fetchserp://domain/${normalizeDomain(domain)}/moz`,
+  },
+  get_serp_results: {
+    uri: ({ query, search_engine: engine = 'google', country = 'us' }) =>
+      `fetchserp://serp/${engine.toLowerCase()}/${country.toLowerCase()}/${encodeURIComponent(normalizeQuery(query))}`,
+  },
+};
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'fetchserp://domain/{domain}/info',
+    name: 'Domain info',
+    description: 'The latest get_domain_info result for a domain: DNS records, WHOIS, SSL certificate and technology stack',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'fetchserp://domain/{domain}/moz',
+    name: 'Moz analysis',
+    description: 'The latest get_moz_analysis result for a domain',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'fetchserp://serp/{engine}/{country}/{query}',
+    name: 'SERP snapshot',
+    description: 'The latest get_serp_results result for a query (URI-encoded) on a search engine and country',
+    mimeType: 'application/json',
+  },
+];
+
+// The tool behind a URI as a client may spell it, and the URI in the form
+// record() stores it under
+function parseUri(uri) {
+  try {
+    let match = /^fetchserp:\/\/domain\/([^/]+)\/(info|moz)$/.exec(uri);
+    if (match) {
+      const tool = match[2] === 'info' ? 'get_domain_info' : 'get_moz_analysis';
+      return { tool, uri: SOURCES[tool].uri({ domain: decodeURIComponent(match[1]) }) };
+    }
+    match = /^fetchserp:\/\/serp\/([^/]+)\/([^/]+)\/(.+)$/.exec(uri);
+    if (match) {
+      return {
+        tool: 'get_serp_results',
+        uri: SOURCES.get_serp_results.uri({ search_engine: match[1], country: match[2], query: decodeURIComponent(match[3]) }),
+      };
+    }
+  } catch {
+    // Malformed percent-encoding
+  }
+  return null;
+}
+
+export class LatestResults extends EventEmitter {
+  constructor({ maxEntries = 500 } = {}) {
+    super();
+    // One listener per subscribed session
+    this.setMaxListeners(0);
+    this.maxEntries = maxEntries;
+    this.latest = new Map();
+  }
+
+  // Keep data from a tool call if it is newer than what is stored
+  record(tool, args, data, token, fetchedAt = Date.now()) {
+    const source = SOURCES[tool];
+    if (!source) {
+      return;
+    }
+    const uri = source.uri(args);
+    const owner = ownerOf(token);
+    const key = `${owner} ${uri}`;
+    const current = this.latest.get(key);
+    if (current && current.fetchedAt >= fetchedAt) {
+      return;
+    }
+
+    this.latest.delete(key);
+    this.latest.set(key, { uri, tool, owner, data, fetchedAt });
+    while (this.latest.size > this.maxEntries) {
+      this.latest.delete(this.latest.keys().next().value);
+    }
+    this.emit('updated', { uri, owner });
+  }
+
+  handles(uri) {
+    return parseUri(uri) !== null;
+  }
+
+  isUpdateFor(event, uri, token) {
+    return event.owner === ownerOf(token) && event.uri === parseUri(uri)?.uri;
+  }
+
+  describe(entry) {
+    return {
+      uri: entry.uri,
+      name: `${entry.tool} ${decodeURIComponent(entry.uri.replace(/^fetchserp:\/\/(domain|serp)\//, ''))}`,
+      description: `Latest ${entry.tool} result, fetched ${new Date(entry.fetchedAt).toISOString()}`,
+      mimeType: 'application/json',
+    };
+  }
+
+  entries(token) {
+    const owner = ownerOf(token);
+    return Array.from(this.latest.values())
+      .filter((entry) => entry.owner === owner)
+      .map((entry) => this.describe(entry));
+  }
+
+  // null for URIs outside these templates; an error for a template URI with
+  // nothing stored yet, naming the tool that fills it
+  read(uri, token) {
+    const parsed = parseUri(uri);
+    if (!parsed) {
+      return null;
+    }
+
+    const entry = this.latest.get(`${ownerOf(token)} ${parsed.uri}`);
+    if (!entry) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Resource not found: ${uri}. Nothing stored yet; call ${parsed.tool} to fetch it`
+      );
+    }
+
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(entry.data) }],
+      _meta: { tool: entry.tool, fetched_at: new Date(entry.fetchedAt).toISOString() },
+    };
+  }
+}
+
+export function createLatestResults(env = process.env) {
+  return new LatestResults({ maxEntries: parseInt(env.FETCHSERP_MAX_RESOURCE_ENTRIES, 10) || 500 });
+}
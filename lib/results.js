@@ -0,0 +1,167 @@
+import { randomUUID } from 'crypto';
+import { ownerOf } from './common.js';
+
+const URI_PREFIX = 'fetchserp://results/';
+const PREVIEW_ITEMS = 10;
+const PREVIEW_STRING = 1000;
+const PREVIEW_TEXT = 10000;
+
+// Shrink a value to a preview with the same shape: long arrays keep their
+// first items and long strings are cut, so it still fits the output schema
+export function previewOf(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > PREVIEW_STRING ? `${value.substring(0, PREVIEW_STRING)}…` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, PREVIEW_ITEMS).map((item) => previewOf(item, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, depth > 6 ? '…' : previewOf(item, depth + 1)])
+    );
+  }
+  return value;
+}
+
+// The first whole lines of a long text, such as a CSV or Markdown table or
+// pretty-printed JSON, up to PREVIEW_TEXT characters
+export function previewText(text) {
+  if (text.length <= PREVIEW_TEXT) {
+    return text;
+  }
+  const cut = text.lastIndexOf('\n', PREVIEW_TEXT);
+  const preview = text.substring(0, cut > 0 ? cut : PREVIEW_TEXT);
+  const lines = text.split('\n').length;
+  const kept = preview.split('\n').length;
+  return `${preview}\n… (preview: ${kept} of ${lines} lines)`;
+}
+
+// One page of a resources/list, cut at cursor/limit
+export function paginate(resources, cursor, limit = 100) {
+  const start = cursor ? parseInt(cursor, 10) || 0 : 0;
+  const end = start + limit;
+  return {
+    resources: resources.slice(start, end),
+    ...(end < resources.length && { nextCursor: String(end) }),
+  };
+}
+
+// Oversized tool results, kept in memory and served back as MCP resources in
+// fixed-size pages (in characters) of their JSON serialization
+export class ResultStore {
+  constructor({ maxBytes = 100 * 1024, pageSize = 64 * 1024, maxResults = 50, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxBytes = maxBytes;
+    this.pageSize = pageSize;
+    this.maxResults = maxResults;
+    this.ttlMs = ttlMs;
+    this.results = new Map();
+  }
+
+  isOversized(json) {
+    return Buffer.byteLength(json) > this.maxBytes;
+  }
+
+  save(tool, json, token) {
+    this.prune();
+
+    const id = randomUUID();
+    const pages = [];
+    for (let offset = 0; offset < json.length; offset += this.pageSize) {
+      pages.push(json.substring(offset, offset + this.pageSize));
+    }
+
+    this.results.set(id, {
+      id,
+      tool,
+      owner: ownerOf(token),
+      pages,
+      bytes: Buffer.byteLength(json),
+      createdAt: Date.now(),
+    });
+
+    while (this.results.size > this.maxResults) {
+      this.results.delete(this.results.keys().next().value);
+    }
+
+    return this.results.get(id);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, result] of this.results) {
+      if (result.createdAt < cutoff) {
+        this.results.delete(id);
+      }
+    }
+  }
+
+  pageUri(id, page) {
+    return `${URI_PREFIX}${id}/${page}`;
+  }
+
+  describePage(result, page) {
+    return {
+      uri: this.pageUri(result.id, page),
+      name: `${result.tool} result ${result.id.substring(0, 8)} page ${page}/${result.pages.length}`,
+      description: `Part ${page} of ${result.pages.length} of the full ${result.tool} JSON response ` +
+        `(${result.bytes} bytes); concatenate the pages in order to rebuild it`,
+      mimeType: 'application/json',
+    };
+  }
+
+  // All pages the token may read, oldest result first
+  entries(token) {
+    this.prune();
+
+    const owner = ownerOf(token);
+    const entries = [];
+    for (const result of this.results.values()) {
+      if (result.owner === owner) {
+        result.pages.forEach((_, index) => entries.push(this.describePage(result, index + 1)));
+      }
+    }
+    return entries;
+  }
+
+  list(token, cursor, limit = 100) {
+    return paginate(this.entries(token), cursor, limit);
+  }
+
+  read(uri, token) {
+    if (!uri.startsWith(URI_PREFIX)) {
+      return null;
+    }
+
+    const [id, pageText] = uri.substring(URI_PREFIX.length).split('/');
+    const result = this.results.get(id);
+    const page = parseInt(pageText, 10);
+    if (!result || result.owner !== ownerOf(token) || !(page >= 1 && page <= result.pages.length)) {
+      return null;
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: result.pages[page - 1],
+        },
+      ],
+      _meta: {
+        page,
+        pages: result.pages.length,
+        ...(page < result.pages.length && { next: this.pageUri(id, page + 1) }),
+      },
+    };
+  }
+}
+
+export function createResultStore(env = process.env) {
+  const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+  return new ResultStore({
+    maxBytes: int(env.FETCHSERP_MAX_RESULT_BYTES, 100 * 1024),
+    pageSize: int(env.FETCHSERP_RESULT_PAGE_SIZE, 64 * 1024),
+    maxResults: int(env.FETCHSERP_MAX_STORED_RESULTS, 50),
+  });
+}
@@ -0,0 +1,79 @@
+// Per-tool upstream timeouts in milliseconds. Crawls, browser sessions and
+// multi-page lookups routinely take minutes; everything else gets the default.
+export const DEFAULT_TIMEOUTS = {
+  get_backlinks: 3 * 60 * 1000,
+  get_domain_emails: 2 * 60 * 1000,
+  get_domain_ranking: 2 * 60 * 1000,
+  scrape_domain: 5 * 60 * 1000,
+  scrape_webpage_js: 2 * 60 * 1000,
+  scrape_webpage_js_proxy: 2 * 60 * 1000,
+  get_serp_ai_mode: 2 * 60 * 1000,
+  get_playwright_mcp: 5 * 60 * 1000,
+};
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export function loadRetryPolicy(env = process.env) {
+  let timeouts = { ...DEFAULT_TIMEOUTS };
+  if (env.FETCHSERP_TIMEOUTS) {
+    try {
+      timeouts = { ...timeouts, ...JSON.parse(env.FETCHSERP_TIMEOUTS) };
+    } catch (error) {
+      throw new Error(`FETCHSERP_TIMEOUTS must be a JSON object of tool name to milliseconds: ${error.message}`);
+    }
+  }
+
+  const int = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    defaultTimeoutMs: int(env.FETCHSERP_TIMEOUT_MS, 60 * 1000),
+    timeouts,
+    maxRetries: int(env.FETCHSERP_MAX_RETRIES, 3),
+    baseDelayMs: int(env.FETCHSERP_RETRY_BASE_MS, 500),
+    maxDelayMs: int(env.FETCHSERP_RETRY_MAX_MS, 30 * 1000),
+  };
+}
+
+export function timeoutFor(policy, tool) {
+  return (tool && policy.timeouts[tool]) || policy.defaultTimeoutMs;
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter: a random delay between zero and the
+// exponential ceiling for this attempt
+export function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Resolves after ms, or as soon as the signal aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
@@ -0,0 +1,22 @@
+// Tables for tool summaries (markdown) and exports (CSV). Rows are arrays of
+// cell values in header order.
+
+const cell = (value) => String(value ?? '—').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+export function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+  ].join('\n');
+}
+
+// RFC 4180: quote fields holding a comma, quote or line break
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function csvTable(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+}
@@ -0,0 +1,653 @@
+import {
+  outputSchemas,
+  rowsAt,
+  summarizeBacklinks,
+  summarizeDomainInfo,
+  summarizeEmails,
+  summarizeFields,
+  summarizeIndexation,
+  summarizeKeywordList,
+  summarizeRanking,
+  summarizeScrape,
+  summarizeScrapeDomain,
+  summarizeSearchVolume,
+  summarizeSerp,
+  summarizeSerpAiMode,
+  summarizeText,
+} from './output.js';
+import { normalizeBacklinks } from './backlinks.js';
+
+// Built-in FetchSERP tools. Each entry declares the MCP tool (name,
+// description, inputSchema) together with the upstream call it maps to:
+// the HTTP method, the endpoint path and, when arguments don't all go in the
+// query string, a request(args) function returning { params, body }. The
+// outputSchema describes the structuredContent of a result and summarize(data)
+// renders the compact text shown alongside it; an optional transform(data,
+// args) reshapes the upstream response first. Tools with tabular results define
+// rows(data), which adds output_format (see lib/exports.js), and tools marked
+// async can also be run as background jobs (see lib/jobs.js).
+export const builtinTools = [
+  {
+    name: 'get_backlinks',
+    description: 'Get backlinks for a given domain',
+    async: true,
+    method: 'GET',
+    endpoint: '/api/v1/backlinks',
+    outputSchema: outputSchemas.backlinks,
+    summarize: summarizeBacklinks,
+    rows: rowsAt('backlinks'),
+    // one_per_domain only shapes the normalized response
+    request: ({ one_per_domain: onePerDomain, ...params }) => ({ params, body: null }),
+    transform: normalizeBacklinks,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to search for backlinks',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 15',
+          default: 15,
+          minimum: 1,
+          maximum: 30,
+        },
+        one_per_domain: {
+          type: 'boolean',
+          description: 'Keep only the first backlink from each referring domain. Set to false to list every distinct backlink. Default: true',
+          default: true,
+        },
+      },
+      required: ['domain'],
+    },
+  },
+  {
+    name: 'get_domain_emails',
+    description: 'Retrieve emails from a given domain',
+    async: true,
+    method: 'GET',
+    endpoint: '/api/v1/domain_emails',
+    outputSchema: outputSchemas.emails,
+    summarize: summarizeEmails,
+    rows: rowsAt('results', 'emails'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to search emails from',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 1',
+          default: 1,
+          minimum: 1,
+          maximum: 30,
+        },
+      },
+      required: ['domain'],
+    },
+  },
+  {
+    name: 'get_domain_info',
+    description: 'Get domain info including DNS records, WHOIS data, SSL certificates, and technology stack',
+    method: 'GET',
+    endpoint: '/api/v1/domain_infos',
+    outputSchema: outputSchemas.domainInfo,
+    summarize: summarizeDomainInfo,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to check',
+        },
+      },
+      required: ['domain'],
+    },
+  },
+  {
+    name: 'get_keywords_search_volume',
+    description: 'Get search volume for given keywords',
+    method: 'GET',
+    endpoint: '/api/v1/keywords_search_volume',
+    outputSchema: outputSchemas.searchVolume,
+    summarize: summarizeSearchVolume,
+    rows: rowsAt('search_volume'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'The keywords to search',
+        },
+        country: {
+          type: 'string',
+          description: 'The country code to search for',
+        },
+      },
+      required: ['keywords'],
+    },
+  },
+  {
+    name: 'get_keywords_suggestions',
+    description: 'Get keyword suggestions based on a url or a list of keywords',
+    method: 'GET',
+    endpoint: '/api/v1/keywords_suggestions',
+    outputSchema: outputSchemas.keywordSuggestions,
+    summarize: summarizeKeywordList,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to search (optional if keywords provided)',
+        },
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'The keywords to search (optional if url provided)',
+        },
+        country: {
+          type: 'string',
+          description: 'The country code to search for',
+        },
+      },
+    },
+  },
+  {
+    name: 'get_long_tail_keywords',
+    description: 'Generate long-tail keywords for a given keyword',
+    method: 'GET',
+    endpoint: '/api/v1/long_tail_keywords_generator',
+    outputSchema: outputSchemas.longTail,
+    summarize: summarizeKeywordList,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keyword: {
+          type: 'string',
+          description: 'The seed keyword to generate long-tail keywords from',
+        },
+        search_intent: {
+          type: 'string',
+          description: 'The search intent (informational, commercial, transactional, navigational). Default: informational',
+          enum: ['informational', 'commercial', 'transactional', 'navigational'],
+          default: 'informational',
+        },
+        count: {
+          type: 'integer',
+          description: 'The number of long-tail keywords to generate (1-500). Default: 10',
+          default: 10,
+          minimum: 1,
+          maximum: 500,
+        },
+      },
+      required: ['keyword'],
+    },
+  },
+  {
+    name: 'get_moz_analysis',
+    description: 'Get Moz domain analysis data',
+    method: 'GET',
+    endpoint: '/api/v1/moz',
+    outputSchema: outputSchemas.moz,
+    summarize: summarizeFields,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to analyze',
+        },
+      },
+      required: ['domain'],
+    },
+  },
+  {
+    name: 'check_page_indexation',
+    description: 'Check if a domain is indexed for a given keyword',
+    method: 'GET',
+    endpoint: '/api/v1/page_indexation',
+    outputSchema: outputSchemas.indexation,
+    summarize: summarizeIndexation,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to check',
+        },
+        keyword: {
+          type: 'string',
+          description: 'The keyword to check',
+        },
+      },
+      required: ['domain', 'keyword'],
+    },
+  },
+  {
+    name: 'get_domain_ranking',
+    description: 'Get domain ranking for a given keyword',
+    method: 'GET',
+    endpoint: '/api/v1/ranking',
+    outputSchema: outputSchemas.ranking,
+    summarize: summarizeRanking,
+    rows: rowsAt('results'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keyword: {
+          type: 'string',
+          description: 'The keyword to search',
+        },
+        domain: {
+          type: 'string',
+          description: 'The domain to search',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 10',
+          default: 10,
+          minimum: 1,
+          maximum: 30,
+        },
+      },
+      required: ['keyword', 'domain'],
+    },
+  },
+  {
+    name: 'scrape_webpage',
+    description: 'Scrape a web page without JS',
+    method: 'GET',
+    endpoint: '/api/v1/scrape',
+    outputSchema: outputSchemas.scrape,
+    summarize: summarizeScrape,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to scrape',
+        },
+      },
+      required: ['url'],
+    },
+  },
+  {
+    name: 'scrape_domain',
+    description: 'Scrape a domain',
+    async: true,
+    method: 'GET',
+    endpoint: '/api/v1/scrape_domain',
+    outputSchema: outputSchemas.scrapeDomain,
+    summarize: summarizeScrapeDomain,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'The domain to scrape',
+        },
+        max_pages: {
+          type: 'integer',
+          description: 'The maximum number of pages to scrape (up to 200). Default: 10',
+          default: 10,
+          minimum: 1,
+          maximum: 200,
+        },
+      },
+      required: ['domain'],
+    },
+  },
+  {
+    name: 'scrape_webpage_js',
+    description: 'Scrape a web page with custom JS',
+    method: 'POST',
+    endpoint: '/api/v1/scrape_js',
+    outputSchema: outputSchemas.scrape,
+    summarize: summarizeScrape,
+    // The script travels in the JSON body; everything else stays in the query string
+    request: ({ url, js_script, ...params }) => ({
+      params: { url, ...params },
+      body: { url, js_script },
+    }),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to scrape',
+        },
+        js_script: {
+          type: 'string',
+          description: 'The javascript code to execute on the page',
+        },
+      },
+      required: ['url', 'js_script'],
+    },
+  },
+  {
+    name: 'scrape_webpage_js_proxy',
+    description: 'Scrape a web page with JS and proxy',
+    method: 'POST',
+    endpoint: '/api/v1/scrape_js_with_proxy',
+    outputSchema: outputSchemas.scrape,
+    summarize: summarizeScrape,
+    request: ({ url, country, js_script, ...params }) => ({
+      params: { url, country, ...params },
+      body: { url, js_script },
+    }),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to scrape',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to use for the proxy',
+        },
+        js_script: {
+          type: 'string',
+          description: 'The javascript code to execute on the page',
+        },
+      },
+      required: ['url', 'country', 'js_script'],
+    },
+  },
+  {
+    name: 'get_serp_results',
+    description: 'Get search engine results',
+    method: 'GET',
+    endpoint: '/api/v1/serp',
+    outputSchema: outputSchemas.serp,
+    summarize: summarizeSerp,
+    rows: rowsAt('results'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The query to search',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 1',
+          default: 1,
+          minimum: 1,
+          maximum: 30,
+        },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'get_serp_html',
+    description: 'Get search engine results with HTML content',
+    method: 'GET',
+    endpoint: '/api/v1/serp_html',
+    outputSchema: outputSchemas.serp,
+    summarize: summarizeSerp,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The query to search',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 1',
+          default: 1,
+          minimum: 1,
+          maximum: 30,
+        },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'get_serp_ai_mode',
+    description: 'Get SERP with AI Overview and AI Mode response. Returns AI overview and AI mode response for the query. Less reliable than the 2-step process but returns results in under 30 seconds.',
+    method: 'GET',
+    endpoint: '/api/v1/serp_ai_mode',
+    outputSchema: outputSchemas.serpAiMode,
+    summarize: summarizeSerpAiMode,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The query to search',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'get_serp_text',
+    description: 'Get search engine results with text content',
+    method: 'GET',
+    endpoint: '/api/v1/serp_text',
+    outputSchema: outputSchemas.serp,
+    summarize: summarizeSerp,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The query to search',
+        },
+        search_engine: {
+          type: 'string',
+          description: 'The search engine to use (google, bing, yahoo, duckduckgo). Default: google',
+          enum: ['google', 'bing', 'yahoo', 'duckduckgo'],
+          default: 'google',
+        },
+        country: {
+          type: 'string',
+          description: 'The country to search from. Default: us',
+          default: 'us',
+        },
+        pages_number: {
+          type: 'integer',
+          description: 'The number of pages to search (1-30). Default: 1',
+          default: 1,
+          minimum: 1,
+          maximum: 30,
+        },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'get_user_info',
+    description: 'Get user information including API credit',
+    method: 'GET',
+    endpoint: '/api/v1/user',
+    outputSchema: outputSchemas.user,
+    summarize: summarizeFields,
+    request: () => ({ params: {}, body: null }),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_webpage_ai_analysis',
+    description: 'Analyze a web page with AI',
+    method: 'GET',
+    endpoint: '/api/v1/web_page_ai_analysis',
+    outputSchema: outputSchemas.generic,
+    summarize: summarizeText,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to analyze',
+        },
+        prompt: {
+          type: 'string',
+          description: 'The prompt to use for the analysis',
+        },
+      },
+      required: ['url', 'prompt'],
+    },
+  },
+  {
+    name: 'generate_wordpress_content',
+    description: 'Generate WordPress content using AI with customizable prompts and models',
+    method: 'GET',
+    endpoint: '/api/v1/generate_wordpress_content',
+    outputSchema: outputSchemas.generic,
+    summarize: summarizeText,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user_prompt: {
+          type: 'string',
+          description: 'The user prompt',
+        },
+        system_prompt: {
+          type: 'string',
+          description: 'The system prompt',
+        },
+        ai_model: {
+          type: 'string',
+          description: 'The AI model (default: gpt-4.1-nano)',
+          default: 'gpt-4.1-nano',
+        },
+      },
+      required: ['user_prompt', 'system_prompt'],
+    },
+  },
+  {
+    name: 'generate_social_content',
+    description: 'Generate social media content using AI with customizable prompts and models',
+    method: 'GET',
+    endpoint: '/api/v1/generate_social_content',
+    outputSchema: outputSchemas.generic,
+    summarize: summarizeText,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user_prompt: {
+          type: 'string',
+          description: 'The user prompt',
+        },
+        system_prompt: {
+          type: 'string',
+          description: 'The system prompt',
+        },
+        ai_model: {
+          type: 'string',
+          description: 'The AI model (default: gpt-4.1-nano)',
+          default: 'gpt-4.1-nano',
+        },
+      },
+      required: ['user_prompt', 'system_prompt'],
+    },
+  },
+  {
+    name: 'get_playwright_mcp',
+    description: 'Use GPT-4.1 to remote control a browser via a Playwright MCP server',
+    async: true,
+    method: 'GET',
+    endpoint: '/api/v1/playwright_mcp',
+    outputSchema: outputSchemas.generic,
+    summarize: summarizeText,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: {
+          type: 'string',
+          description: 'The prompt to use for remote control of the browser',
+        },
+      },
+      required: ['prompt'],
+    },
+  },
+  {
+    name: 'get_webpage_seo_analysis',
+    description: 'Get SEO analysis for a given url',
+    method: 'GET',
+    endpoint: '/api/v1/web_page_seo_analysis',
+    outputSchema: outputSchemas.generic,
+    summarize: summarizeFields,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The url to analyze',
+        },
+      },
+      required: ['url'],
+    },
+  },
+];
@@ -0,0 +1,308 @@
+import { promises as fs } from 'fs';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ownerOf } from './common.js';
+
+// Estimated credits per upstream call. FetchSERP bills multi-page tools per
+// page, so these are multiplied by pages_number / max_pages when present.
+// Override with FETCHSERP_CREDIT_COSTS.
+export const DEFAULT_CREDIT_COSTS = {
+  default: 1,
+  get_serp_ai_mode: 2,
+  scrape_webpage_js: 2,
+  scrape_webpage_js_proxy: 3,
+  get_webpage_ai_analysis: 5,
+  generate_wordpress_content: 5,
+  generate_social_content: 5,
+  get_playwright_mcp: 10,
+  get_user_info: 0,
+};
+
+const DAYS_KEPT = 62;
+
+function tokenId(token) {
+  return ownerOf(token).substring(0, 16);
+}
+
+// Enough of the token to recognise it in a report without exposing it
+function tokenLabel(token) {
+  return token ? `…${token.slice(-4)}` : '(none)';
+}
+
+function periods(now = new Date()) {
+  const day = now.toISOString().substring(0, 10);
+  return { day, month: day.substring(0, 7) };
+}
+
+function emptyCounters() {
+  return { calls: 0, cached_calls: 0, credits: 0 };
+}
+
+export class UsageTracker {
+  constructor({ costs = DEFAULT_CREDIT_COSTS, dailyBudget = 0, monthlyBudget = 0, toolQuotas = {}, path = null } = {}) {
+    this.costs = costs;
+    this.dailyBudget = dailyBudget;
+    this.monthlyBudget = monthlyBudget;
+    this.toolQuotas = toolQuotas;
+    this.path = path;
+    this.accounts = {};
+    // Credits held by calls that were authorized and have not finished yet
+    this.reservations = new Set();
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.path
+        ? fs.readFile(this.path, 'utf8')
+          .then((raw) => {
+            this.accounts = JSON.parse(raw);
+          })
+          .catch((error) => {
+            if (error.code !== 'ENOENT') {
+              console.error(`Ignoring unreadable usage file ${this.path}: ${error.message}`);
+            }
+          })
+        : Promise.resolve();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    if (!this.path) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(this.accounts);
+    this.writing = this.writing
+      .then(() => fs.writeFile(this.path, snapshot))
+      .catch((error) => console.error(`Failed to write usage file ${this.path}: ${error.message}`));
+    return this.writing;
+  }
+
+  estimate(tool, args = {}) {
+    const base = this.costs[tool] ?? this.costs.default ?? 1;
+    const pages = args.pages_number || args.max_pages || 1;
+    return base * pages;
+  }
+
+  account(token) {
+    const id = tokenId(token);
+    if (!this.accounts[id]) {
+      this.accounts[id] = { label: tokenLabel(token), days: {}, months: {} };
+    }
+    return this.accounts[id];
+  }
+
+  // Refuse the call before it reaches the API if it would exceed a budget or
+  // the tool's daily quota, counting the calls still in flight. Otherwise the
+  // estimated cost is reserved until record() charges it or release() drops
+  // it, so parallel calls cannot all pass the same check.
+  async authorize(token, tool, args) {
+    await this.load();
+
+    const { day, month } = periods();
+    const id = tokenId(token);
+    const account = this.account(token);
+    const today = account.days[day] || { ...emptyCounters(), tools: {} };
+    const thisMonth = account.months[month] || emptyCounters();
+    const cost = this.estimate(tool, args);
+
+    const pending = Array.from(this.reservations).filter((reservation) => reservation.account === id);
+    const pendingCredits = (period, value) => pending
+      .filter((reservation) => reservation[period] === value)
+      .reduce((sum, reservation) => sum + reservation.credits, 0);
+    const usedToday = today.credits + pendingCredits('day', day);
+    const usedThisMonth = thisMonth.credits + pendingCredits('month', month);
+    const toolCalls = (today.tools[tool]?.calls || 0) +
+      pending.filter((reservation) => reservation.day === day && reservation.tool === tool).length;
+
+    const quota = this.toolQuotas[tool];
+    if (quota !== undefined && toolCalls >= quota) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Daily quota exceeded for ${tool}: ${toolCalls}/${quota} calls used today, counting calls in flight`,
+        { tool, quota, used: toolCalls }
+      );
+    }
+
+    if (this.dailyBudget > 0 && usedToday + cost > this.dailyBudget) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Daily credit budget exceeded: ${usedToday} of ${this.dailyBudget} credits used or reserved, ${tool} needs about ${cost}`,
+        { budget: 'daily', limit: this.dailyBudget, used: usedToday, estimated_cost: cost }
+      );
+    }
+
+    if (this.monthlyBudget > 0 && usedThisMonth + cost > this.monthlyBudget) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Monthly credit budget exceeded: ${usedThisMonth} of ${this.monthlyBudget} credits used or reserved, ${tool} needs about ${cost}`,
+        { budget: 'monthly', limit: this.monthlyBudget, used: usedThisMonth, estimated_cost: cost }
+      );
+    }
+
+    const reservation = { account: id, tool, credits: cost, day, month };
+    this.reservations.add(reservation);
+    return reservation;
+  }
+
+  // Give back the credits reserved for a call that failed
+  release(reservation) {
+    this.reservations.delete(reservation);
+  }
+
+  // Count a call: a fresh one charges the credits reserved by authorize(), a
+  // cached one is free
+  async record(token, tool, { reservation = null, cached = false } = {}) {
+    await this.load();
+    const credits = reservation?.credits ?? 0;
+
+    const { day, month } = periods();
+    const account = this.account(token);
+    const today = account.days[day] || (account.days[day] = { ...emptyCounters(), tools: {} });
+    const thisMonth = account.months[month] || (account.months[month] = emptyCounters());
+    const toolCounters = today.tools[tool] || (today.tools[tool] = emptyCounters());
+
+    [today, thisMonth, toolCounters].forEach((counters) => {
+      counters.calls += 1;
+      counters.credits += credits;
+      if (cached) {
+        counters.cached_calls += 1;
+      }
+    });
+
+    if (reservation) {
+      this.release(reservation);
+    }
+    Object.keys(account.days).sort().slice(0, -DAYS_KEPT).forEach((oldDay) => delete account.days[oldDay]);
+
+    return this.persist();
+  }
+
+  // Usage for one token, or for every token when token is omitted
+  async report(token) {
+    await this.load();
+
+    const { day, month } = periods();
+    const ids = token === undefined ? Object.keys(this.accounts) : [tokenId(token)];
+
+    return {
+      day,
+      month,
+      budgets: {
+        daily: this.dailyBudget || null,
+        monthly: this.monthlyBudget || null,
+        tool_quotas: this.toolQuotas,
+      },
+      accounts: ids
+        .filter((id) => this.accounts[id])
+        .map((id) => {
+          const account = this.accounts[id];
+          return {
+            token: account.label,
+            today: account.days[day] || { ...emptyCounters(), tools: {} },
+            this_month: account.months[month] || emptyCounters(),
+            history: account.days,
+          };
+        }),
+    };
+  }
+}
+
+export function createUsageTracker(env = process.env) {
+  const json = (name) => {
+    if (!env[name]) {
+      return {};
+    }
+    try {
+      return JSON.parse(env[name]);
+    } catch (error) {
+      throw new Error(`${name} must be a JSON object: ${error.message}`);
+    }
+  };
+
+  return new UsageTracker({
+    costs: { ...DEFAULT_CREDIT_COSTS, ...json('FETCHSERP_CREDIT_COSTS') },
+    dailyBudget: parseFloat(env.FETCHSERP_DAILY_BUDGET) || 0,
+    monthlyBudget: parseFloat(env.FETCHSERP_MONTHLY_BUDGET) || 0,
+    toolQuotas: json('FETCHSERP_TOOL_QUOTAS'),
+    path: env.FETCHSERP_USAGE_FILE || null,
+  });
+}
+
+function summarizeUsage(report) {
+  if (report.accounts.length === 0) {
+    return `No usage recorded for ${report.day}.`;
+  }
+  return report.accounts.map(({ token, today, this_month: month }) => [
+    `Token ${token}: ${today.calls} calls (${today.cached_calls} cached), ~${today.credits} credits today; ` +
+      `${month.calls} calls, ~${month.credits} credits this month`,
+    ...Object.entries(today.tools).map(([tool, counters]) =>
+      `- ${tool}: ${counters.calls} calls, ~${counters.credits} credits`
+    ),
+  ].join('\n')).join('\n\n') +
+    (report.budgets.daily ? `\nDaily budget: ${report.budgets.daily} credits` : '') +
+    (report.budgets.monthly ? `\nMonthly budget: ${report.budgets.monthly} credits` : '');
+}
+
+const counters = {
+  type: 'object',
+  properties: {
+    calls: { type: 'integer' },
+    cached_calls: { type: 'integer' },
+    credits: { type: 'number' },
+  },
+};
+
+const dayCounters = {
+  type: 'object',
+  properties: {
+    ...counters.properties,
+    tools: { type: 'object', additionalProperties: counters },
+  },
+};
+
+const outputSchema = {
+  type: 'object',
+  properties: {
+    day: { type: 'string' },
+    month: { type: 'string' },
+    budgets: {
+      type: 'object',
+      properties: {
+        daily: { type: ['number', 'null'] },
+        monthly: { type: ['number', 'null'] },
+        tool_quotas: { type: 'object', additionalProperties: { type: 'number' } },
+      },
+    },
+    accounts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          today: dayCounters,
+          this_month: counters,
+          history: { type: 'object', additionalProperties: dayCounters },
+        },
+      },
+    },
+  },
+  required: ['day', 'month', 'budgets', 'accounts'],
+};
+
+export function usageTools(tracker) {
+  return [
+    {
+      name: 'get_usage_report',
+      description: 'Get calls and estimated FetchSERP credits spent through this server by your token, per tool, for today and this month, along with the configured budgets',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+      },
+      handler: async (args, { token }) => tracker.report(token),
+      outputSchema,
+      summarize: summarizeUsage,
+    },
+  ];
+}
@@ -0,0 +1,88 @@
+// Minimal JSON Schema checks for tool arguments: the subset the tool schemas
+// actually use (type, enum, minimum, maximum, required, items, default).
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function checkValue(schema, value, field, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be of type ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+}
+
+// Returns the arguments with declared defaults applied, plus one error per
+// offending field. Properties the schema doesn't declare pass through as-is.
+export function validateArguments(schema, args = {}) {
+  const errors = [];
+
+  if (typeOf(args) !== 'object') {
+    return { value: args, errors: [{ field: '(arguments)', message: 'must be an object' }] };
+  }
+
+  const value = { ...args };
+  const properties = schema.properties || {};
+
+  Object.entries(properties).forEach(([field, propertySchema]) => {
+    if (value[field] === undefined && propertySchema.default !== undefined) {
+      value[field] = propertySchema.default;
+    }
+  });
+
+  (schema.required || []).forEach((field) => {
+    if (value[field] === undefined || value[field] === null || value[field] === '') {
+      errors.push({ field, message: 'is required' });
+    }
+  });
+
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    if (properties[field] && fieldValue !== undefined && fieldValue !== null) {
+      checkValue(properties[field], fieldValue, field, errors);
+    }
+  });
+
+  return { value, errors };
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Mock FetchSERP API Server
+ *
+ * Serves canned fixtures for every FetchSERP endpoint the MCP server calls,
+ * so the MCP server can be exercised offline without spending credits.
+ *
+ * Usage:
+ *   node mock-fetchserp-server.js              # listens on MOCK_PORT or 8001
+ *   FETCHSERP_API_BASE_URL=http://localhost:8001 node index.js
+ *
+ * Every request is recorded (method, path, query, body and Bearer token) and
+ * can be inspected with GET /__requests or cleared with DELETE /__requests.
+ * A request the caller hung up on before the response is marked aborted.
+ *
+ * Failures can be injected with POST /__failures, e.g.
+ *   { "status": 503, "count": 2, "retry_after": 1 }   # next 2 calls fail
+ *   { "delay_ms": 5000, "count": 1 }                   # next call is slow
+ * Add "path": "/api/v1/serp" to target a single endpoint.
+ *
+ * A fixture can be replaced with POST /__fixtures, e.g.
+ *   { "path": "/api/v1/backlinks", "response": { "data": { "backlinks": [] } } }
+ * so later calls see changed data (useful for monitors and diffs). DELETE
+ * /__fixtures restores the built-in fixtures. In-process tests can also set a
+ * function of (query, body) in the returned overrides map, like the fixtures.
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const serpResults = [
+  { ranking: 1, site_name: 'Example', url: 'https://www.example.com/', title: 'Example Domain', description: 'This domain is for use in illustrative examples.' },
+  { ranking: 2, site_name: 'Wikipedia', url: 'https://en.wikipedia.org/wiki/Example', title: 'Example - Wikipedia', description: 'An example is a representative of a group.' },
+  { ranking: 3, site_name: 'FetchSERP', url: 'https://www.fetchserp.com/', title: 'FetchSERP - SERP API', description: 'Search engine results and SEO data API.' },
+];
+
+const fixtures = {
+  '/api/v1/backlinks': (query) => ({
+    data: {
+      domain: query.domain,
+      backlinks: [
+        { source_url: 'https://blog.example.org/post', target_url: `https://${query.domain}/`, anchor_text: 'great tool', rel: 'nofollow' },
+        { source_url: 'https://news.example.net/article', target_url: `https://${query.domain}/pricing`, anchor_text: 'pricing', rel: '' },
+        { source_url: 'https://blog.example.org/another-post', target_url: `https://${query.domain}/docs`, anchor_text: 'docs', rel: '' },
+        // Same link again, spelled differently, as the API sometimes returns
+        { source_url: 'https://Blog.example.org/post/', target_url: `https://${query.domain}/`, anchor_text: 'great tool', rel: 'nofollow' },
+        { source: 'https://www.forum.example.com/thread/1', target: `https://${query.domain}/`, anchor: 'this', nofollow: false },
+      ],
+    },
+  }),
+  '/api/v1/domain_emails': (query) => ({
+    data: {
+      domain: query.domain,
+      results: [
+        { email: `contact@${query.domain}`, url: `https://${query.domain}/contact` },
+        { email: `sales@${query.domain}`, url: `https://${query.domain}/about` },
+      ],
+    },
+  }),
+  '/api/v1/domain_infos': (query) => ({
+    data: {
+      domain: query.domain,
+      dns_records: { A: ['93.184.216.34'], MX: [`mail.${query.domain}`] },
+      whois: { registrar: 'Example Registrar', created_at: '1995-08-14', expires_at: '2030-08-13' },
+      ssl: { issuer: 'Example CA', valid_until: '2030-01-01' },
+      technology_stack: ['nginx', 'React'],
+    },
+  }),
+  '/api/v1/keywords_search_volume': (query) => ({
+    data: {
+      search_volume: [].concat(query.keywords || []).map((keyword, index) => ({
+        keyword,
+        search_volume: 1000 * (index + 1),
+        competition: 'MEDIUM',
+        cpc: 1.5,
+      })),
+    },
+  }),
+  '/api/v1/keywords_suggestions': () => ({
+    data: {
+      keywords_suggestions: [
+        { keyword: 'serp api', search_volume: 2400, competition: 'HIGH' },
+        { keyword: 'serp api free', search_volume: 320, competition: 'MEDIUM' },
+      ],
+    },
+  }),
+  '/api/v1/long_tail_keywords_generator': (query) => ({
+    data: {
+      keyword: query.keyword,
+      search_intent: query.search_intent || 'informational',
+      long_tail_keywords: [`how to use ${query.keyword}`, `best ${query.keyword} for beginners`],
+    },
+  }),
+  '/api/v1/moz': (query) => ({
+    data: { domain: query.domain, domain_authority: 42, page_authority: 38, spam_score: 1, linking_root_domains: 1250 },
+  }),
+  '/api/v1/page_indexation': (query) => ({
+    data: { domain: query.domain, keyword: query.keyword, indexed: true, urls: [`https://${query.domain}/`] },
+  }),
+  '/api/v1/ranking': (query) => ({
+    data: {
+      results: [
+        { ranking: 3, site_name: query.domain, url: `https://${query.domain}/`, title: `${query.domain} home` },
+      ],
+    },
+  }),
+  '/api/v1/scrape': (query) => ({
+    data: { url: query.url, status_code: 200, html: '<html><body><h1>Example</h1></body></html>' },
+  }),
+  '/api/v1/scrape_domain': (query) => ({
+    data: {
+      domain: query.domain,
+      results: [
+        { url: `https://${query.domain}/`, status_code: 200, html: '<html><body>Home</body></html>' },
+        { url: `https://${query.domain}/about`, status_code: 200, html: '<html><body>About</body></html>' },
+      ],
+    },
+  }),
+  '/api/v1/scrape_js': (query, body) => ({
+    data: { url: body.url || query.url, result: 'Example Domain' },
+  }),
+  '/api/v1/scrape_js_with_proxy': (query, body) => ({
+    data: { url: body.url || query.url, country: query.country, result: 'Example Domain' },
+  }),
+  '/api/v1/serp': (query) => ({
+    data: {
+      search_engine: query.search_engine || 'google',
+      query: query.query,
+      country: query.country || 'us',
+      results_count: serpResults.length,
+      results: serpResults,
+    },
+  }),
+  '/api/v1/serp_html': (query) => ({
+    data: {
+      search_engine: query.search_engine || 'google',
+      query: query.query,
+      results: serpResults.map((result) => ({ ...result, html: `<html><body>${result.title}</body></html>` })),
+    },
+  }),
+  '/api/v1/serp_ai_mode': (query) => ({
+    data: {
+      query: query.query,
+      country: query.country || 'us',
+      ai_overview: { content: `AI overview for ${query.query}` },
+      ai_mode_response: { content: `AI mode response for ${query.query}` },
+      results: serpResults,
+    },
+  }),
+  '/api/v1/serp_text': (query) => ({
+    data: {
+      search_engine: query.search_engine || 'google',
+      query: query.query,
+      results: serpResults.map((result) => ({ ...result, text: result.description })),
+    },
+  }),
+  '/api/v1/user': () => ({
+    data: { email: 'mock@fetchserp.com', api_credit: 250 },
+  }),
+  '/api/v1/web_page_ai_analysis': (query) => ({
+    data: { url: query.url, analysis: `Mock analysis for prompt: ${query.prompt}` },
+  }),
+  '/api/v1/generate_wordpress_content': (query) => ({
+    data: { title: 'Mock WordPress Post', content: `Content for: ${query.user_prompt}` },
+  }),
+  '/api/v1/generate_social_content': (query) => ({
+    data: { content: `Social post for: ${query.user_prompt}` },
+  }),
+  '/api/v1/playwright_mcp': (query) => ({
+    data: { prompt: query.prompt, response: 'Mock browser session completed' },
+  }),
+  '/api/v1/web_page_seo_analysis': (query) => ({
+    data: { url: query.url, title: 'Example Domain', meta_description: 'Example', h1: ['Example Domain'], word_count: 28 },
+  }),
+};
+
+export function createMockServer() {
+  const app = express();
+  app.use(express.json());
+
+  // Recorded requests, newest last
+  const requests = [];
+  // Pending injected failures, consumed in order
+  const failures = [];
+  // Responses that replace a built-in fixture, by path
+  const overrides = new Map();
+
+  app.get('/__requests', (req, res) => {
+    res.json(requests);
+  });
+
+  app.delete('/__requests', (req, res) => {
+    requests.length = 0;
+    res.status(204).end();
+  });
+
+  app.post('/__failures', (req, res) => {
+    const { count = 1, ...failure } = req.body || {};
+    for (let i = 0; i < count; i++) {
+      failures.push(failure);
+    }
+    res.status(204).end();
+  });
+
+  app.delete('/__failures', (req, res) => {
+    failures.length = 0;
+    res.status(204).end();
+  });
+
+  app.post('/__fixtures', (req, res) => {
+    const { path, response } = req.body || {};
+    if (!path || response === undefined) {
+      return res.status(400).json({ error: 'path and response are required' });
+    }
+    overrides.set(path, response);
+    res.status(204).end();
+  });
+
+  app.delete('/__fixtures', (req, res) => {
+    overrides.clear();
+    res.status(204).end();
+  });
+
+  app.all('/api/v1/*', async (req, res) => {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+    const request = {
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      token,
+    };
+    requests.push(request);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        request.aborted = true;
+      }
+    });
+
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const failureIndex = failures.findIndex((failure) => !failure.path || failure.path === req.path);
+    if (failureIndex !== -1) {
+      const [failure] = failures.splice(failureIndex, 1);
+      if (failure.delay_ms) {
+        await new Promise((resolve) => setTimeout(resolve, failure.delay_ms));
+      }
+      if (failure.status) {
+        if (failure.retry_after !== undefined) {
+          res.set('Retry-After', String(failure.retry_after));
+        }
+        return res.status(failure.status).json({ error: `Injected ${failure.status}` });
+      }
+    }
+
+    if (overrides.has(req.path)) {
+      const override = overrides.get(req.path);
+      return res.json(typeof override === 'function' ? override(req.query, req.body || {}) : override);
+    }
+
+    const fixture = fixtures[req.path];
+    if (!fixture) {
+      return res.status(404).json({ error: `No fixture for ${req.path}` });
+    }
+
+    res.json(fixture(req.query, req.body || {}));
+  });
+
+  return { app, requests, failures, overrides };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.MOCK_PORT || 8001;
+  const { app } = createMockServer();
+
+  app.listen(port, () => {
+    console.log(`Mock FetchSERP API listening on http://localhost:${port}`);
+    console.log(`Point the MCP server at it with FETCHSERP_API_BASE_URL=http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ToolAccess } from '../lib/access.js';
+import { builtinPrompts, PromptRegistry } from '../lib/prompts.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('ToolAccess', () => {
+  test('applies the deployment lists and the token profile', () => {
+    const access = new ToolAccess({
+      deny: ['get_serp_html'],
+      profiles: { team: { extends: 'research-only', allow: ['get_*'] } },
+      tokens: { 'team-token': 'team' },
+    });
+    assert.equal(access.allows('scrape_webpage_js', null), true);
+    assert.equal(access.allows('get_serp_html', null), false);
+    assert.equal(access.allows('get_serp_results', 'team-token'), true);
+    assert.equal(access.allows('scrape_webpage', 'team-token'), false);
+    assert.equal(access.allows('get_playwright_mcp', 'team-token'), false);
+    assert.throws(() => access.assertAllowed('scrape_webpage', 'team-token'), /not available with the team profile/);
+  });
+});
+
+describe('PromptRegistry with tool access', () => {
+  test('leaves out prompts that need a denied tool', () => {
+    const prompts = new PromptRegistry(builtinPrompts);
+    const access = { allows: (tool) => tool !== 'get_domain_emails' };
+    assert.deepEqual(prompts.list(access).map(({ name }) => name), ['seo_audit', 'track_keywords', 'content_brief']);
+    assert.throws(() => prompts.get('find_contact_emails', { domain: 'example.com' }, access), /get_domain_emails/);
+  });
+
+  test('finds the tools of a prompt without a tools list in its template', () => {
+    const prompts = new PromptRegistry([{ name: 'weekly', template: 'Call get_domain_ranking, then get_rank_changes.' }]);
+    const toolNames = ['get_domain_ranking', 'get_rank_changes', 'get_domain_rankings_batch'];
+    assert.equal(prompts.list({ toolNames, allows: (tool) => tool !== 'get_domain_rankings_batch' }).length, 1);
+    assert.equal(prompts.list({ toolNames, allows: (tool) => tool !== 'get_rank_changes' }).length, 0);
+  });
+});
+
+// Composite tools call other tools for their caller, so those calls are
+// checked too; monitors run for the operator and are exempt
+describe('denied tools behind composite tools', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'access-token',
+      FETCHSERP_DENIED_TOOLS: 'get_domain_ranking,get_serp_results',
+      FETCHSERP_CACHE: 'off',
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('a batch cannot reach a denied tool', async () => {
+    const result = await client.callTool({
+      name: 'get_domain_rankings_batch',
+      arguments: { domain: 'example.com', keywords: ['seo tools', 'serp api'] },
+    });
+    result.structuredContent.results.forEach((row) => assert.match(row.error, /get_domain_ranking is not available/));
+    assert.equal(mock.requests.length, 0);
+  });
+
+  test('compare_serps cannot reach a denied tool', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'compare_serps', arguments: { query: 'seo tools', compare_search_engine: 'bing' } }),
+      /get_serp_results is not available/
+    );
+    assert.equal(mock.requests.length, 0);
+  });
+
+  test('prompts that chain a denied tool are not listed', async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(({ name }) => name).sort(), ['content_brief', 'track_keywords']);
+    await assert.rejects(client.getPrompt({ name: 'seo_audit', arguments: { domain: 'example.com' } }), /get_domain_ranking/);
+  });
+
+  test('monitors still run the tools they are built on', async () => {
+    const created = await client.callTool({
+      name: 'create_monitor',
+      arguments: { type: 'rank', domain: 'example.com', keywords: ['seo tools'] },
+    });
+    const run = await client.callTool({ name: 'run_monitor', arguments: { monitor_id: created.structuredContent.monitor.id } });
+    assert.ok(!run.isError, run.content?.[0]?.text);
+    assert.equal(run.structuredContent.monitor.last_error, null);
+    assert.deepEqual(mock.requests.map(({ path }) => path), ['/api/v1/ranking']);
+  });
+});
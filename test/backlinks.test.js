@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { normalizeBacklink, normalizeBacklinks } from '../lib/backlinks.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('normalizeBacklink', () => {
+  test('reads the canonical fields', () => {
+    assert.deepEqual(normalizeBacklink({
+      source_url: 'https://blog.example.org/post',
+      target_url: 'https://example.com/',
+      anchor_text: 'great tool',
+      rel: 'nofollow',
+    }), {
+      source_url: 'https://blog.example.org/post',
+      target_url: 'https://example.com/',
+      anchor_text: 'great tool',
+      referring_domain: 'blog.example.org',
+      nofollow: true,
+    });
+  });
+
+  test('reads the alias fields', () => {
+    assert.deepEqual(normalizeBacklink({
+      source: 'https://www.forum.example.com/thread/1',
+      target: 'https://example.com/',
+      anchor: 'this',
+    }), {
+      source_url: 'https://www.forum.example.com/thread/1',
+      target_url: 'https://example.com/',
+      anchor_text: 'this',
+      referring_domain: 'forum.example.com',
+      nofollow: null,
+    });
+    assert.equal(normalizeBacklink({ url_from: 'https://a.example.org/', url_to: 'https://example.com/' }).source_url, 'https://a.example.org/');
+    assert.equal(normalizeBacklink({ url_from: 'https://a.example.org/', url_to: 'https://example.com/' }).target_url, 'https://example.com/');
+    assert.equal(normalizeBacklink({ url: 'https://b.example.org/', text: 'docs' }).anchor_text, 'docs');
+  });
+
+  test('derives nofollow from nofollow, dofollow or rel', () => {
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', nofollow: false }).nofollow, false);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', dofollow: true }).nofollow, false);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', dofollow: false }).nofollow, true);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', rel: 'ugc NoFollow' }).nofollow, true);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', rel: ['sponsored', 'nofollow'] }).nofollow, true);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/', rel: '' }).nofollow, false);
+    assert.equal(normalizeBacklink({ source_url: 'https://a.org/' }).nofollow, null);
+  });
+
+  test('treats blank strings as missing', () => {
+    const link = normalizeBacklink({ source_url: '  ', source: 'https://a.org/x', anchor_text: '' });
+    assert.equal(link.source_url, 'https://a.org/x');
+    assert.equal(link.anchor_text, null);
+  });
+});
+
+describe('normalizeBacklinks', () => {
+  const response = {
+    data: {
+      domain: 'example.com',
+      total_backlinks: 1200,
+      search_engine: 'google',
+      backlinks: [
+        { source_url: 'https://blog.example.org/post', target_url: 'https://example.com/', anchor_text: 'great tool', rel: 'nofollow', domain_authority: 40 },
+        { source_url: 'https://blog.example.org/another-post', target_url: 'https://example.com/docs', anchor_text: 'docs' },
+        // The first link again: host case and trailing slashes differ
+        { source_url: 'https://Blog.Example.org/post/', target_url: 'https://example.com', anchor_text: 'great tool', rel: 'nofollow' },
+        { source: 'https://www.forum.example.com/thread/1', target: 'https://example.com/', anchor: 'this', nofollow: false },
+        { anchor_text: 'no source' },
+      ],
+    },
+  };
+
+  test('drops duplicates that differ in case or trailing slashes', () => {
+    const { data } = normalizeBacklinks(response, { one_per_domain: false });
+    assert.deepEqual(data.backlinks.map((link) => link.source_url), [
+      'https://blog.example.org/post',
+      'https://blog.example.org/another-post',
+      'https://www.forum.example.com/thread/1',
+    ]);
+    assert.equal(data.total_backlinks, 3);
+    assert.equal(data.total_referring_domains, 2);
+    assert.deepEqual(data.referring_domains, [
+      { referring_domain: 'blog.example.org', links: 2, nofollow_links: 1 },
+      { referring_domain: 'forum.example.com', links: 1, nofollow_links: 0 },
+    ]);
+  });
+
+  test('keeps one link per referring domain by default', () => {
+    const { data } = normalizeBacklinks(response);
+    assert.deepEqual(data.backlinks.map((link) => link.source_url), [
+      'https://blog.example.org/post',
+      'https://www.forum.example.com/thread/1',
+    ]);
+    // Totals still count every distinct link
+    assert.equal(data.total_backlinks, 3);
+    assert.equal(data.referring_domains[0].links, 2);
+  });
+
+  test('passes upstream fields through', () => {
+    const { data } = normalizeBacklinks(response);
+    assert.equal(data.upstream_total_backlinks, 1200);
+    assert.equal(data.search_engine, 'google');
+    assert.equal(data.backlinks[0].domain_authority, 40);
+    assert.equal(data.backlinks[0].rel, 'nofollow');
+    assert.equal(data.backlinks[1].source, 'https://www.forum.example.com/thread/1');
+  });
+
+  test('accepts results instead of backlinks and a response without the data envelope', () => {
+    const { data } = normalizeBacklinks({ results: [{ url_from: 'https://a.example.org/', url_to: 'https://example.com/' }] });
+    assert.equal(data.domain, null);
+    assert.equal(data.backlinks.length, 1);
+    assert.equal(data.results, undefined);
+  });
+});
+
+describe('backlink tools', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'backlink-token' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  const call = async (name, args) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  test('get_backlinks lists one link per referring domain unless one_per_domain is false', async () => {
+    const deduped = await call('get_backlinks', { domain: 'example.com' });
+    assert.deepEqual(deduped.data.backlinks.map((link) => link.referring_domain), ['blog.example.org', 'news.example.net', 'forum.example.com']);
+
+    const every = await call('get_backlinks', { domain: 'example.com', one_per_domain: false });
+    assert.equal(every.data.backlinks.length, 4);
+    assert.equal(every.data.total_backlinks, deduped.data.total_backlinks);
+  });
+
+  test('diff_backlinks compares every link', async () => {
+    const baseline = await call('diff_backlinks', { domain: 'example.com' });
+    assert.equal(baseline.current_count, 4);
+  });
+});
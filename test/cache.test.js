@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, before, describe, test } from 'node:test';
+import { cacheKey, JsonFileCache, MemoryCache } from '../lib/cache.js';
+import { startHttpServer, startMockApi } from './helpers.js';
+
+const entry = (value, ttlMs = 60000) => ({ value, storedAt: Date.now(), expiresAt: Date.now() + ttlMs });
+
+describe('cacheKey', () => {
+  test('ignores argument order and empty values but not the token', () => {
+    const request = { endpoint: '/api/v1/serp', method: 'GET', params: { query: 'seo', country: 'us' }, token: 'token-a' };
+    assert.equal(cacheKey(request), cacheKey({ ...request, params: { country: 'us', query: 'seo', pages_number: null } }));
+    assert.notEqual(cacheKey(request), cacheKey({ ...request, token: 'token-b' }));
+  });
+});
+
+describe('MemoryCache', () => {
+  test('returns an entry until it expires', async () => {
+    const cache = new MemoryCache();
+    await cache.set('fresh', entry('a'));
+    await cache.set('stale', entry('b', -1));
+    assert.equal((await cache.get('fresh')).value, 'a');
+    assert.equal(await cache.get('stale'), undefined);
+    assert.equal(cache.entries.has('stale'), false);
+  });
+
+  test('sweeps expired entries on write', async () => {
+    const cache = new MemoryCache();
+    await cache.set('stale', entry('x'.repeat(100), -1));
+    await cache.set('fresh', entry('a'));
+    assert.deepEqual([...cache.entries.keys()], ['fresh']);
+    assert.equal(cache.bytes, Buffer.byteLength(JSON.stringify(cache.entries.get('fresh'))));
+  });
+
+  test('evicts the oldest entries past the entry and byte limits', async () => {
+    const byCount = new MemoryCache({ maxEntries: 2 });
+    for (const key of ['a', 'b', 'c']) {
+      await byCount.set(key, entry(key));
+    }
+    assert.deepEqual([...byCount.entries.keys()], ['b', 'c']);
+
+    const size = Buffer.byteLength(JSON.stringify(entry('x'.repeat(100))));
+    const byBytes = new MemoryCache({ maxBytes: size * 2 + 10 });
+    for (const key of ['a', 'b', 'c']) {
+      await byBytes.set(key, entry('x'.repeat(100)));
+    }
+    assert.deepEqual([...byBytes.entries.keys()], ['b', 'c']);
+    assert.ok(byBytes.bytes <= byBytes.maxBytes);
+
+    // An entry larger than the whole budget is not kept at all
+    await byBytes.set('huge', entry('x'.repeat(1000)));
+    assert.deepEqual([...byBytes.entries.keys()], ['b', 'c']);
+  });
+});
+
+describe('JsonFileCache', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'fetchserp-cache-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes a burst of changes at once and reloads them', async () => {
+    const path = join(dir, 'cache.json');
+    const cache = new JsonFileCache({ path, writeDelayMs: 20 });
+    await cache.set('a', entry('a'));
+    await cache.set('b', entry('b'));
+    await assert.rejects(readFile(path, 'utf8'), { code: 'ENOENT' });
+
+    await cache.flush();
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(path, 'utf8'))), ['a', 'b']);
+
+    const reloaded = new JsonFileCache({ path, maxEntries: 1 });
+    assert.equal(await reloaded.get('a'), undefined);
+    assert.equal((await reloaded.get('b')).value, 'b');
+  });
+});
+
+describe('cached tool calls', () => {
+  let mock;
+  let server;
+  let clients = [];
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url });
+    clients = await Promise.all([server.connect('token-a'), server.connect('token-b')]);
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await server?.close();
+    await mock?.close();
+  });
+
+  const upstreamCalls = () => mock.requests.filter((request) => request.path === '/api/v1/domain_infos').length;
+  const domainInfo = (client) => client.callTool({ name: 'get_domain_info', arguments: { domain: 'example.com' } });
+
+  test('serve a repeated call from the cache, separately per token', async () => {
+    const first = await domainInfo(clients[0]);
+    const second = await domainInfo(clients[0]);
+    assert.equal(first._meta.cache.hit, false);
+    assert.equal(second._meta.cache.hit, true);
+    assert.deepEqual(second.structuredContent, first.structuredContent);
+    assert.equal(upstreamCalls(), 1);
+
+    const other = await domainInfo(clients[1]);
+    assert.equal(other._meta.cache.hit, false);
+    assert.equal(upstreamCalls(), 2);
+  });
+});
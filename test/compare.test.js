@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { averageOverlap, compareSerps } from '../lib/compare.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('averageOverlap', () => {
+  test('is 1 for identical rankings and 0 for disjoint ones', () => {
+    assert.equal(averageOverlap(['a', 'b', 'c'], ['a', 'b', 'c']), 1);
+    assert.equal(averageOverlap(['a', 'b'], ['c', 'd']), 0);
+    assert.equal(averageOverlap([], []), 1);
+  });
+
+  test('averages the shared share at every depth', () => {
+    // Depth 1: 0/1, depth 2: 2/2, depth 3: 3/3
+    assert.equal(averageOverlap(['a', 'b', 'c'], ['b', 'a', 'c']), 2 / 3);
+    // Depth 1: 1/1, depth 2: 1/2
+    assert.equal(averageOverlap(['a', 'b'], ['a', 'c']), 0.75);
+    assert.equal(averageOverlap(['a'], ['a', 'b']), 0.75);
+  });
+});
+
+// Two positions swapped at the top, c.com pushed down by a newcomer and d.com
+// dropped
+const us = [
+  { ranking: 1, url: 'https://www.a.com/page' },
+  { ranking: 2, url: 'https://b.com/' },
+  { ranking: 3, url: 'https://c.com/' },
+  { ranking: 4, url: 'https://d.com/' },
+];
+const de = [
+  { ranking: 1, url: 'https://b.com/' },
+  { ranking: 2, url: 'https://www.a.com/page' },
+  { ranking: 3, url: 'https://e.com/' },
+  { ranking: 4, url: 'https://c.com/' },
+];
+
+describe('compareSerps', () => {
+  const side = (country, results) => ({ query: 'seo tools', search_engine: 'google', country, source: 'live', recorded_at: null, results });
+
+  test('reports overlap, position changes and new and dropped URLs and domains', () => {
+    const result = compareSerps(side('us', us), side('de', de));
+
+    assert.deepEqual(result.baseline, { query: 'seo tools', search_engine: 'google', country: 'us', source: 'live', recorded_at: null, results_count: 4 });
+    // Depths 1 to 4 share 0/1, 2/2, 2/3 and 3/4
+    assert.equal(result.similarity, 0.604);
+    // 3 common URLs out of 5 distinct ones
+    assert.deepEqual(result.url_overlap, { common: 3, ratio: 0.6 });
+    assert.deepEqual(result.position_changes, [
+      { url: 'https://www.a.com/page', from_position: 1, to_position: 2, delta: -1 },
+      { url: 'https://b.com/', from_position: 2, to_position: 1, delta: 1 },
+      { url: 'https://c.com/', from_position: 3, to_position: 4, delta: -1 },
+    ]);
+    assert.deepEqual(result.new_urls, [{ url: 'https://e.com/', position: 3 }]);
+    assert.deepEqual(result.dropped_urls, [{ url: 'https://d.com/', position: 4 }]);
+    assert.deepEqual(result.new_domains, ['e.com']);
+    assert.deepEqual(result.dropped_domains, ['d.com']);
+  });
+
+  test('counts a repeated URL once and falls back to the list order for positions', () => {
+    const result = compareSerps(
+      side('us', [{ url: 'https://a.com/' }, { url: 'https://b.com/' }, { url: 'https://a.com/' }]),
+      side('de', [{ url: 'https://b.com/' }, { url: 'https://a.com/' }])
+    );
+    assert.equal(result.baseline.results_count, 2);
+    assert.deepEqual(result.url_overlap, { common: 2, ratio: 1 });
+    assert.equal(result.similarity, 0.5);
+    assert.deepEqual(result.position_changes.map(({ url, delta }) => [url, delta]), [['https://a.com/', -1], ['https://b.com/', 1]]);
+  });
+});
+
+describe('compare_serps', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    mock.overrides.set('/api/v1/serp', (query) => ({
+      data: { query: query.query, country: query.country, results: query.country === 'de' ? de : us },
+    }));
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'compare-token' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('compares the live SERPs of two countries', async () => {
+    const result = await client.callTool({ name: 'compare_serps', arguments: { query: 'seo tools', compare_country: 'de' } });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    assert.equal(result.structuredContent.similarity, 0.604);
+    assert.deepEqual(result.structuredContent.url_overlap, { common: 3, ratio: 0.6 });
+    assert.deepEqual(
+      mock.requests.filter(({ path }) => path === '/api/v1/serp').map(({ query }) => query.country).sort(),
+      ['de', 'us']
+    );
+  });
+
+  test('refuses to compare a SERP with itself', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'compare_serps', arguments: { query: 'seo tools', compare_search_engine: 'google' } }),
+      /Nothing to compare/
+    );
+  });
+});
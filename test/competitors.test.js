@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { connectStdio, startMockApi } from './helpers.js';
+
+// Organic results per keyword; search volume comes from the built-in fixture,
+// 1000 per position in the request: alpha 1000, beta 2000 and so on
+const serps = {
+  // Behind a competitor
+  alpha: [['rival-a.com', 1], ['me.com', 3]],
+  // Ahead of every competitor
+  beta: [['me.com', 1], ['rival-a.com', 2]],
+  // Two competitors tied, and we are not in the SERP: the best competitor is
+  // the first one of the request
+  gamma: [['rival-b.com', 2], ['rival-a.com', 2]],
+  // Level with a competitor, which is no gap
+  delta: [['me.com', 4], ['rival-b.com', 4]],
+  // Nobody ranks
+  epsilon: [],
+};
+
+describe('competitor_gap_analysis', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    mock.overrides.set('/api/v1/serp', (query) => ({
+      data: {
+        query: query.query,
+        results: serps[query.query].map(([domain, ranking]) => ({ ranking, url: `https://www.${domain}/page`, title: domain })),
+      },
+    }));
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'gap-token' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  const analyze = async (args) => {
+    const result = await client.callTool({
+      name: 'competitor_gap_analysis',
+      arguments: { domain: 'me.com', competitors: ['rival-a.com', 'rival-b.com'], keywords: Object.keys(serps), ...args },
+    });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    return result.structuredContent;
+  };
+
+  test('ranks gaps by the clicks to gain from matching the best competitor', async () => {
+    const result = await analyze({});
+    const row = (keyword) => result.matrix.find((entry) => entry.keyword === keyword);
+
+    assert.deepEqual(row('alpha').positions, { 'me.com': 3, 'rival-a.com': 1, 'rival-b.com': null });
+    assert.deepEqual(row('gamma').positions, { 'me.com': null, 'rival-a.com': 2, 'rival-b.com': 2 });
+    assert.equal(row('beta').gap, false);
+    assert.equal(row('delta').gap, false);
+    assert.equal(row('epsilon').best_competitor, null);
+
+    // gamma: 3000 * (15% CTR at #2 - nothing); alpha: 1000 * (28% at #1 - 11% at #3)
+    assert.deepEqual(
+      result.gaps.map(({ keyword, best_competitor: best, estimated_clicks_gain: gain }) => [keyword, best, gain]),
+      [
+        ['gamma', { domain: 'rival-a.com', position: 2 }, 450],
+        ['alpha', { domain: 'rival-a.com', position: 1 }, 170],
+      ]
+    );
+    assert.deepEqual(result.domains.map(({ domain, keywords_ranked: ranked }) => [domain, ranked]), [
+      ['me.com', 3],
+      ['rival-a.com', 3],
+      ['rival-b.com', 2],
+    ]);
+    assert.equal(result.domains[0].domain_authority, 42);
+    assert.deepEqual(result.errors, []);
+  });
+
+  test('looks up positions missing from the SERP with deep_check', async () => {
+    const seen = mock.requests.length;
+    const result = await analyze({ deep_check: true });
+
+    // The ranking fixture puts every domain at #3
+    const lookups = mock.requests.slice(seen).filter((request) => request.path === '/api/v1/ranking');
+    assert.equal(lookups.length, 7);
+    assert.deepEqual(result.matrix.find((entry) => entry.keyword === 'gamma').positions, { 'me.com': 3, 'rival-a.com': 2, 'rival-b.com': 2 });
+    assert.equal(result.matrix.find((entry) => entry.keyword === 'epsilon').gap, false);
+    // rival-a.com is now #3 on delta, ahead of us: 4000 * (11% - 8% at #4).
+    // gamma gains as much, 3000 * (15% at #2 - 11% at #3), and equal gains
+    // go by search volume.
+    assert.deepEqual(result.gaps.map((gap) => [gap.keyword, gap.estimated_clicks_gain]), [['alpha', 170], ['delta', 120], ['gamma', 120]]);
+  });
+});
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MemoryEventStore } from '../lib/events.js';
+import { startHttpServer, startMockApi } from './helpers.js';
+
+async function replay(store, lastEventId) {
+  const sent = [];
+  await store.replayEventsAfter(lastEventId, async (id, message) => sent.push(message));
+  return sent;
+}
+
+describe('event store limits', () => {
+  test('keeps an oversized response as an error for replay', async () => {
+    const store = new MemoryEventStore({ maxEventBytes: 1000 });
+    const first = await store.storeEvent('s:1', { jsonrpc: '2.0', method: 'notifications/message', params: {} });
+    await store.storeEvent('s:1', { jsonrpc: '2.0', id: 7, result: { content: [{ type: 'text', text: 'x'.repeat(5000) }] } });
+
+    const [message] = await replay(store, first);
+    assert.equal(message.id, 7);
+    assert.match(message.error.message, /too large to keep for replay/);
+    assert.ok(store.bytes < 1000);
+  });
+
+  test('evicts the oldest events once the total exceeds maxBytes', async () => {
+    const store = new MemoryEventStore({ maxBytes: 1000 });
+    const message = (n) => ({ jsonrpc: '2.0', method: 'notifications/message', params: { data: `${n}`.padEnd(200) } });
+    const first = await store.storeEvent('s:old', message(0));
+    for (let n = 1; n < 10; n++) {
+      await store.storeEvent(n < 5 ? 's:old' : 's:new', message(n));
+    }
+
+    assert.ok(store.bytes <= 1000);
+    assert.equal(store.streams.has('s:old'), false);
+    await assert.rejects(replay(store, first), /Unknown event ID/);
+  });
+});
+
+// A client whose response stream drops mid-call resumes it with Last-Event-ID.
+// Relies on two details of the SDK transport: the notifications/message event
+// each call opens its stream with (see index.js) gives the client an event ID
+// before the result is ready, and the transport stores the response before it
+// fails to send it on the closed stream ("No connection established").
+describe('resuming a dropped tool call', () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  // Reads SSE events off a response until one matches, then closes it
+  async function readUntil(response, matches) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          throw new Error('Stream ended before the expected event');
+        }
+        buffer += decoder.decode(value, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const lines = buffer.substring(0, end).split('\n');
+          buffer = buffer.substring(end + 2);
+          const event = {
+            id: lines.find((line) => line.startsWith('id: '))?.substring(4),
+            message: JSON.parse(lines.find((line) => line.startsWith('data: ')).substring(6)),
+          };
+          if (matches(event)) {
+            return event;
+          }
+        }
+      }
+    } finally {
+      await reader.cancel();
+    }
+  }
+
+  // Initializes a session over raw HTTP and returns the headers that use it
+  async function openSession(endpoint) {
+    const headers = {
+      Authorization: 'Bearer resume-token',
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    };
+    const initialized = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'fetchserp-test', version: '1.0.0' } },
+      }),
+    });
+    await initialized.text();
+    const session = { ...headers, 'mcp-session-id': initialized.headers.get('mcp-session-id') };
+    await fetch(endpoint, {
+      method: 'POST',
+      headers: session,
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    });
+    return session;
+  }
+
+  // Starts a slow tool call and hangs up after its first event, returning
+  // the event ID to resume from
+  async function dropCall(endpoint, session) {
+    mock.failures.push({ delay_ms: 300 });
+    const call = await fetch(endpoint, {
+      method: 'POST',
+      headers: session,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'get_moz_analysis', arguments: { domain: 'resume.example.com' } },
+      }),
+    });
+    const priming = await readUntil(call, () => true);
+    assert.equal(priming.message.method, 'notifications/message');
+    assert.ok(priming.id, 'the priming event has no ID to resume from');
+    return priming.id;
+  }
+
+  test('replays the result stored after the connection dropped', async () => {
+    const session = await openSession(server.endpoint);
+    const lastEventId = await dropCall(server.endpoint, session);
+
+    // Give the call time to finish while nobody is listening
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    const resumed = await fetch(server.endpoint, {
+      method: 'GET',
+      headers: { ...session, 'last-event-id': lastEventId },
+    });
+    assert.equal(resumed.status, 200);
+    const { message } = await readUntil(resumed, (event) => event.message.id === 2);
+    assert.ok(!message.result.isError, message.result.content?.[0]?.text);
+    assert.equal(message.result.structuredContent.data.domain, 'resume.example.com');
+  });
+
+  // Events are kept in memory with the sessions, so a restart ends both
+  test('a restarted server asks the client to start a new session', async () => {
+    const env = { FETCHSERP_API_BASE_URL: mock.url };
+    const first = await startHttpServer(env);
+    let session;
+    let lastEventId;
+    try {
+      session = await openSession(first.endpoint);
+      lastEventId = await dropCall(first.endpoint, session);
+    } finally {
+      await first.close();
+    }
+
+    const restarted = await startHttpServer(env);
+    try {
+      const resumed = await fetch(restarted.endpoint, {
+        method: 'GET',
+        headers: { ...session, 'last-event-id': lastEventId },
+      });
+      assert.equal(resumed.status, 404);
+      assert.equal((await resumed.json()).error.message, 'Session not found');
+      await openSession(restarted.endpoint);
+    } finally {
+      await restarted.close();
+    }
+  });
+
+  test('log events follow the level the client set', async () => {
+    const client = await server.connect('logging-token');
+    const logged = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => logged.push(notification.params));
+    try {
+      await client.callTool({ name: 'get_moz_analysis', arguments: { domain: 'example.com' } });
+      assert.deepEqual(logged.map(({ level }) => level), ['info']);
+
+      await client.setLoggingLevel('warning');
+      await client.callTool({ name: 'get_moz_analysis', arguments: { domain: 'example.org' } });
+      assert.equal(logged.length, 1);
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, before, describe, test } from 'node:test';
+import { inflateRawSync } from 'zlib';
+import { previewText } from '../lib/results.js';
+import { xlsxWorkbook } from '../lib/xlsx.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+// Bit by bit, unlike the table-driven one in lib/xlsx.js
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Files of a ZIP archive by name, read through its central directory. Checks
+// each entry's sizes and CRC against its data.
+function unzip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end !== -1, 'no end of central directory record');
+  const count = archive.readUInt16LE(end + 10);
+  const files = new Map();
+
+  let offset = archive.readUInt32LE(end + 16);
+  for (let index = 0; index < count; index++) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const local = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(local), 0x04034b50);
+    assert.equal(archive.readUInt32LE(local + 14), crc, `${name}: local CRC`);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const compressed = archive.subarray(start, start + compressedSize);
+    const data = method === 8 ? inflateRawSync(compressed) : compressed;
+    assert.equal(data.length, size, `${name}: size`);
+    assert.equal(crc32(data), crc, `${name}: CRC`);
+
+    files.set(name, data.toString('utf8'));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+describe('previewText', () => {
+  test('keeps short texts and cuts long ones at a line break', () => {
+    assert.equal(previewText('a,b\r\n1,2'), 'a,b\r\n1,2');
+
+    const lines = Array.from({ length: 2000 }, (_, index) => `row ${index}`);
+    const preview = previewText(lines.join('\n'));
+    assert.ok(preview.length < 10100);
+    assert.match(preview, /^row 0\nrow 1\n/);
+    assert.match(preview, /\nrow \d+\n… \(preview: \d+ of 2000 lines\)$/);
+  });
+});
+
+describe('inline table formats', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    mock.overrides.set('/api/v1/backlinks', {
+      data: {
+        domain: 'example.com',
+        backlinks: Array.from({ length: 500 }, (_, index) => ({
+          source_url: `https://site-${index}.example.org/post`,
+          target_url: 'https://example.com/',
+          anchor_text: `link ${index}`,
+          rel: '',
+        })),
+      },
+    });
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'export-token',
+      FETCHSERP_MAX_RESULT_BYTES: '20000',
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  // A header line, plus the separator line in Markdown, then one line per backlink
+  for (const [format, lines] of [['csv', 501], ['markdown', 502]]) {
+    test(`an oversized ${format} table is cut to a preview with links to the full result`, async () => {
+      const result = await client.callTool({
+        name: 'get_backlinks',
+        arguments: { domain: 'example.com', output_format: format },
+      });
+      const [table] = result.content;
+      assert.ok(table.text.length < 20000);
+      assert.ok(table.text.endsWith(` of ${lines} lines)`), table.text.slice(-40));
+      assert.ok(result._meta.truncated.pages > 0);
+
+      const links = result.content.filter((item) => item.type === 'resource_link');
+      assert.equal(links[0].uri, result._meta.truncated.uri);
+      const page = await client.readResource({ uri: links[0].uri });
+      assert.match(page.contents[0].text, /^\{/);
+    });
+  }
+});
+
+describe('xlsxWorkbook', () => {
+  test('checks CRCs with a reference implementation', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  });
+
+  test('writes a valid package with escaped cells', () => {
+    const headers = ['name', 'count', 'ok', ...Array.from({ length: 24 }, (_, index) => `extra_${index}`), 'last'];
+    const files = unzip(xlsxWorkbook(headers, [['<b>"Tom" & Jerry</b>\u0001', 42, true, ...Array(24).fill(''), 'é']], 'a/b:c'));
+
+    assert.deepEqual([...files.keys()], [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    const types = files.get('[Content_Types].xml');
+    assert.match(types, /<Override PartName="\/xl\/workbook.xml" ContentType="application\/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main\+xml"\/>/);
+    assert.match(types, /<Override PartName="\/xl\/worksheets\/sheet1.xml" ContentType="[^"]+worksheet\+xml"\/>/);
+    assert.match(files.get('xl/workbook.xml'), /<sheet name="a_b_c" sheetId="1" r:id="rId1"\/>/);
+
+    const sheet = files.get('xl/worksheets/sheet1.xml');
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;\/b&gt;<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2"><v>42<\/v><\/c><c r="C2" t="b"><v>1<\/v><\/c>/);
+    // Column 28 is AB; empty cells are left out
+    assert.match(sheet, /<c r="AB1" t="inlineStr"><is><t xml:space="preserve">last<\/t><\/is><\/c><\/row>/);
+    assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c><c r="AB2" t="inlineStr"><is><t xml:space="preserve">é<\/t>/);
+  });
+});
+
+describe('file exports', () => {
+  let mock;
+  let client;
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'fetchserp-exports-'));
+    mock = await startMockApi();
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'export-token', FETCHSERP_EXPORT_DIR: dir });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('xlsx_file links a workbook of the rows', async () => {
+    const result = await client.callTool({ name: 'get_backlinks', arguments: { domain: 'example.com', output_format: 'xlsx_file' } });
+    const link = result.content.find((item) => item.type === 'resource_link');
+    assert.equal(link.mimeType, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const { contents: [file] } = await client.readResource({ uri: link.uri });
+    const sheet = unzip(Buffer.from(file.blob, 'base64')).get('xl/worksheets/sheet1.xml');
+    assert.equal(sheet.match(/<row /g).length, result.structuredContent.data.backlinks.length + 1);
+    assert.match(sheet, /<t xml:space="preserve">source_url<\/t>/);
+    assert.match(sheet, /<t xml:space="preserve">https:\/\/blog.example.org\/post<\/t>/);
+  });
+});
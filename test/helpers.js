@@ -0,0 +1,129 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createMockServer } from '../mock-fetchserp-server.js';
+
+// Shared setup for the end-to-end tests: the mock FetchSERP API in-process,
+// and index.js as a child process over stdio or HTTP, pointed at it.
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Arguments that satisfy the input schema of each built-in tool
+export const sampleArguments = {
+  get_backlinks: { domain: 'example.com' },
+  get_domain_emails: { domain: 'example.com' },
+  get_domain_info: { domain: 'example.com' },
+  get_keywords_search_volume: { keywords: ['seo tools', 'serp api'] },
+  get_keywords_suggestions: { keywords: ['seo tools'] },
+  get_long_tail_keywords: { keyword: 'seo tools' },
+  get_moz_analysis: { domain: 'example.com' },
+  check_page_indexation: { domain: 'example.com', keyword: 'seo tools' },
+  get_domain_ranking: { domain: 'example.com', keyword: 'seo tools' },
+  scrape_webpage: { url: 'https://example.com/' },
+  scrape_domain: { domain: 'example.com' },
+  scrape_webpage_js: { url: 'https://example.com/', js_script: 'return document.title' },
+  scrape_webpage_js_proxy: { url: 'https://example.com/', country: 'us', js_script: 'return document.title' },
+  get_serp_results: { query: 'seo tools' },
+  get_serp_html: { query: 'seo tools' },
+  get_serp_ai_mode: { query: 'seo tools' },
+  get_serp_text: { query: 'seo tools' },
+  get_user_info: {},
+  get_webpage_ai_analysis: { url: 'https://example.com/', prompt: 'Summarize the page' },
+  generate_wordpress_content: { user_prompt: 'Write about SEO', system_prompt: 'You are a copywriter' },
+  generate_social_content: { user_prompt: 'Write about SEO', system_prompt: 'You are a copywriter' },
+  get_playwright_mcp: { prompt: 'Open example.com' },
+  get_webpage_seo_analysis: { url: 'https://example.com/' },
+};
+
+// The developer's own FetchSERP settings must not leak into the server under test
+function childEnv(env) {
+  const inherited = Object.fromEntries(
+    Object.entries(process.env).filter(([key]) => !key.startsWith('FETCHSERP_') && key !== 'MCP_HTTP_MODE' && key !== 'PORT')
+  );
+  return { ...inherited, ...env };
+}
+
+export async function startMockApi() {
+  const mock = createMockServer();
+  const server = mock.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    ...mock,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+export async function connectStdio(env) {
+  const client = new Client({ name: 'fetchserp-test', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: childEnv(env),
+    stderr: 'ignore',
+  }));
+  return client;
+}
+
+async function freePort() {
+  const probe = createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+// index.js in HTTP mode; connect(token) opens an MCP session with that Bearer token
+export async function startHttpServer(env) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: childEnv({ ...env, MCP_HTTP_MODE: 'true', PORT: String(port) }),
+    stdio: ['ignore', 'ignore', 'ignore'],
+  });
+  const exited = once(child, 'exit');
+
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`index.js exited with code ${child.exitCode} before listening`);
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) {
+        break;
+      }
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error('index.js did not start listening within 10s');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    endpoint: new URL(`${url}/sse`),
+    async connect(token) {
+      const client = new Client({ name: 'fetchserp-test', version: '1.0.0' });
+      await client.connect(new StreamableHTTPClientTransport(new URL(`${url}/sse`), {
+        requestInit: { headers: { Authorization: `Bearer ${token}` } },
+      }));
+      return client;
+    },
+    async close() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+    },
+  };
+}
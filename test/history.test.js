@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { RankHistory } from '../lib/history.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+const serp = (urls) => ({
+  data: { results: urls.map((url, index) => ({ url, ranking: index + 1 })) },
+});
+
+describe('RankHistory', () => {
+  let directory;
+
+  before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'fetchserp-history-'));
+  });
+
+  after(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('counts SERPs only for the keywords a domain is tracked on', () => {
+    const path = join(directory, 'tracked.jsonl');
+    const history = new RankHistory({ path });
+    history.record('get_domain_ranking', { domain: 'example.com', keyword: 'seo tools' }, {
+      data: { results: [{ url: 'https://example.com/', ranking: 4 }] },
+    }, 'token');
+    history.record('get_serp_results', { query: 'seo tools' }, serp(['https://a.org/', 'https://www.example.com/x']), 'token');
+    history.record('get_serp_results', { query: 'seo tools', country: 'de' }, serp(['https://a.org/']), 'token');
+    history.record('get_serp_results', { query: 'weather' }, serp(['https://a.org/']), 'token');
+
+    const { series } = history.history('token', { domain: 'example.com' });
+    assert.equal(series.length, 1);
+    assert.deepEqual(series[0].points.map(({ source, position }) => [source, position]), [['ranking', 4], ['serp', 2]]);
+    assert.deepEqual(history.history('other-token', { domain: 'example.com' }).series, []);
+  });
+
+  test('drops records past the retention period and rewrites the file', () => {
+    const path = join(directory, 'retention.jsonl');
+    const record = (daysAgo, keyword) => JSON.stringify({
+      owner: 'owner',
+      recorded_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+      type: 'ranking',
+      domain: 'example.com',
+      keyword,
+      search_engine: 'google',
+      country: 'us',
+      position: 1,
+    });
+    writeFileSync(path, [record(400, 'old'), record(10, 'recent'), ''].join('\n'));
+
+    const kept = new RankHistory({ path, retentionDays: 0 });
+    assert.equal(kept.records.length, 2);
+
+    const history = new RankHistory({ path, retentionDays: 30 });
+    assert.deepEqual(history.records.map(({ keyword }) => keyword), ['recent']);
+    assert.deepEqual(readFileSync(path, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line).keyword), ['recent']);
+  });
+
+  test('drops the oldest tenth of the records at the limit', () => {
+    const path = join(directory, 'limit.jsonl');
+    const history = new RankHistory({ path, maxRecords: 20 });
+    for (let index = 0; index < 21; index++) {
+      history.record('get_domain_ranking', { domain: 'example.com', keyword: `keyword ${index}` }, { data: { results: [] } }, index % 2 ? 'token-a' : 'token-b');
+    }
+
+    // The 21st record finds 20: the newest 18 are kept before it is appended
+    assert.equal(history.records.length, 19);
+    assert.equal(history.records[0].keyword, 'keyword 2');
+    assert.equal(readFileSync(path, 'utf8').split('\n').filter(Boolean).length, 19);
+    assert.equal(history.recordsOf('token-a').length + history.recordsOf('token-b').length, 19);
+    assert.ok(history.recordsOf('token-a').every(({ keyword }) => Number(keyword.split(' ')[1]) % 2 === 1));
+    assert.equal(new RankHistory({ path, maxRecords: 20 }).records.length, 19);
+  });
+
+  test('keeps records in memory without a file', () => {
+    const history = new RankHistory();
+    history.record('get_domain_ranking', { domain: 'example.com', keyword: 'seo tools' }, {
+      data: { results: [{ url: 'https://example.com/', ranking: 2 }] },
+    }, 'token');
+    assert.equal(history.history('token', { domain: 'example.com' }).series[0].points[0].position, 2);
+  });
+});
+
+describe('history tools', () => {
+  let directory;
+  let mock;
+  let client;
+
+  before(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'fetchserp-history-'));
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'history-token',
+      FETCHSERP_HISTORY_FILE: join(directory, 'history.jsonl'),
+    });
+    // Lets the client check results against the tools' output schemas
+    await client.listTools();
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('report recorded lookups in the shape of their output schemas', async () => {
+    await client.callTool({ name: 'get_domain_ranking', arguments: { domain: 'example.com', keyword: 'seo tools' } });
+    await client.callTool({ name: 'get_serp_results', arguments: { query: 'seo tools' } });
+
+    const history = await client.callTool({ name: 'get_rank_history', arguments: { domain: 'example.com' } });
+    assert.ok(!history.isError, history.content?.[0]?.text);
+    assert.deepEqual(history.structuredContent.series[0].points.map(({ source }) => source), ['ranking', 'serp']);
+
+    const changes = await client.callTool({ name: 'get_rank_changes', arguments: { domain: 'example.com', from: '2000-01-01' } });
+    assert.ok(!changes.isError, changes.content?.[0]?.text);
+    assert.equal(changes.structuredContent.changes[0].status, 'new');
+  });
+});
+
+describe('history tools without a history file', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'memory-token' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('report what was recorded since the server started', async () => {
+    await client.callTool({ name: 'get_domain_ranking', arguments: { domain: 'example.com', keyword: 'seo tools' } });
+    await client.callTool({ name: 'get_serp_results', arguments: { query: 'seo tools' } });
+
+    const history = await client.callTool({ name: 'get_rank_history', arguments: { domain: 'example.com' } });
+    assert.equal(history.structuredContent.series[0].points.length, 2);
+
+    const compared = await client.callTool({
+      name: 'compare_serps',
+      arguments: { query: 'seo tools', date: new Date(Date.now() + 60000).toISOString() },
+    });
+    assert.ok(!compared.isError, compared.content?.[0]?.text);
+    assert.equal(compared.structuredContent.baseline.source, 'history');
+    assert.equal(compared.structuredContent.similarity, 1);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { JobQueue } from '../lib/jobs.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('JobQueue', () => {
+  test('limits the jobs a token can have queued or running', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxPerOwner: 2 });
+    // Never settles, so the job stays running
+    const slow = () => new Promise(() => {});
+
+    // One running, one queued
+    queue.submit('get_backlinks', 'token-a', slow);
+    const queued = queue.submit('get_backlinks', 'token-a', async () => ({ ok: true }));
+    assert.throws(() => queue.submit('get_backlinks', 'token-a', slow), /2 of 2 are queued or running/);
+    assert.doesNotThrow(() => queue.cancel(queue.submit('get_backlinks', 'token-b', slow).id, 'token-b'));
+
+    queue.cancel(queued.id, 'token-a');
+    assert.doesNotThrow(() => queue.submit('get_backlinks', 'token-a', slow));
+  });
+});
+
+describe('job tools', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'job-token' });
+    // Lets the client check results against the tools' output schemas
+    await client.listTools();
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('run a call in the background and return its result', async () => {
+    const queued = await client.callTool({ name: 'get_backlinks', arguments: { domain: 'example.com', async: true } });
+    const { id } = queued.structuredContent.job;
+
+    let status;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      status = await client.callTool({ name: 'get_job_status', arguments: { job_id: id } });
+      if (status.structuredContent.job.status === 'succeeded') {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.equal(status.structuredContent.job.status, 'succeeded');
+
+    const result = await client.callTool({ name: 'get_job_result', arguments: { job_id: id } });
+    assert.ok(Array.isArray(result.structuredContent.result.data.backlinks));
+
+    const { structuredContent: listed } = await client.callTool({ name: 'list_jobs', arguments: {} });
+    assert.deepEqual(listed.jobs.map((job) => job.id), [id]);
+    await assert.rejects(client.callTool({ name: 'cancel_job', arguments: { job_id: id } }), /already succeeded/);
+  });
+
+  test('reject an output format for a background call', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'get_backlinks', arguments: { domain: 'example.com', async: true, output_format: 'csv' } }),
+      /output_format cannot be combined with async/
+    );
+    const { structuredContent: listed } = await client.callTool({ name: 'list_jobs', arguments: {} });
+    assert.equal(listed.jobs.length, 1);
+  });
+});
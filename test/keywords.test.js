@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('build_keyword_plan', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_API_TOKEN: 'plan-token' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('summarizes the top keywords and keeps the plan as structured data', async () => {
+    const result = await client.callTool({ name: 'build_keyword_plan', arguments: { keyword: 'seo tools' } });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    assert.ok(result.structuredContent.keywords.length > 0);
+    assert.equal(result.structuredContent.csv, undefined);
+    assert.match(result.content[0].text, /\| # \| Keyword \| Volume \|/);
+    assert.doesNotMatch(result.content[0].text, /```csv/);
+  });
+
+  test('returns every keyword as CSV with output_format csv', async () => {
+    const result = await client.callTool({
+      name: 'build_keyword_plan',
+      arguments: { keyword: 'seo tools', output_format: 'csv' },
+    });
+    const lines = result.content[0].text.split('\r\n');
+    assert.equal(lines[0], 'rank,keyword,search_volume,competition,cpc,intent,cluster,sources');
+    assert.equal(lines.length - 1, result.structuredContent.total_keywords);
+  });
+});
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { once } from 'events';
+import express from 'express';
+import { after, afterEach, before, describe, test } from 'node:test';
+import { MonitorScheduler } from '../lib/monitors.js';
+import { connectStdio, startHttpServer, startMockApi } from './helpers.js';
+
+const SECRET = 'webhook-secret';
+
+// Monitors against the mock API, alerting a local webhook receiver. The cache
+// is off so each run sees the fixture as it is at that moment.
+describe('monitors', () => {
+  let mock;
+  let client;
+  let receiver;
+  let webhookUrl;
+  const deliveries = [];
+
+  before(async () => {
+    const app = express();
+    app.use(express.text({ type: '*/*' }));
+    app.post('/hook', (req, res) => {
+      deliveries.push({ headers: req.headers, body: req.body });
+      res.status(204).end();
+    });
+    receiver = app.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    webhookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'monitor-token',
+      FETCHSERP_CACHE: 'off',
+      FETCHSERP_MONITOR_WEBHOOK_SECRET: SECRET,
+    });
+    // Lets the client check results against the tools' output schemas
+    await client.listTools();
+  });
+
+  afterEach(async () => {
+    deliveries.length = 0;
+    await fetch(`${mock.url}/__fixtures`, { method: 'DELETE' });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+    receiver?.closeAllConnections();
+    receiver?.close();
+  });
+
+  const replaceFixture = (path, response) => fetch(`${mock.url}/__fixtures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, response }),
+  });
+
+  async function call(name, args) {
+    const result = await client.callTool({ name, arguments: args });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    return result.structuredContent;
+  }
+
+  function assertSigned(delivery) {
+    const expected = `sha256=${createHmac('sha256', SECRET).update(delivery.body).digest('hex')}`;
+    assert.equal(delivery.headers['x-fetchserp-signature'], expected);
+  }
+
+  test('a rank monitor alerts the webhook when a keyword drops', async () => {
+    const { monitor } = await call('create_monitor', {
+      type: 'rank',
+      name: 'Rankings',
+      domain: 'example.com',
+      keywords: ['seo tools'],
+      webhook_url: webhookUrl,
+    });
+
+    const baseline = await call('run_monitor', { monitor_id: monitor.id });
+    assert.equal(baseline.baseline, true);
+    assert.deepEqual(baseline.alerts, []);
+    assert.equal(deliveries.length, 0);
+
+    await replaceFixture('/api/v1/ranking', {
+      data: { results: [{ ranking: 9, site_name: 'example.com', url: 'https://example.com/' }] },
+    });
+    const run = await call('run_monitor', { monitor_id: monitor.id });
+    assert.equal(run.baseline, false);
+    assert.deepEqual(run.alerts, [{ type: 'rank_drop', keyword: 'seo tools', from_position: 3, to_position: 9 }]);
+    assert.equal(run.webhook.delivered, true);
+
+    assert.equal(deliveries.length, 1);
+    assertSigned(deliveries[0]);
+    const payload = JSON.parse(deliveries[0].body);
+    assert.equal(payload.event, 'monitor.alert');
+    assert.deepEqual(payload.monitor, { id: monitor.id, name: 'Rankings', type: 'rank', domain: 'example.com' });
+    assert.deepEqual(payload.alerts, run.alerts);
+    assert.equal(payload.triggered_at, run.monitor.last_run_at);
+  });
+
+  test('a backlinks monitor alerts the webhook when backlinks are lost', async () => {
+    const { monitor } = await call('create_monitor', { type: 'backlinks', domain: 'example.com', webhook_url: webhookUrl });
+
+    assert.equal((await call('run_monitor', { monitor_id: monitor.id })).baseline, true);
+
+    await replaceFixture('/api/v1/backlinks', {
+      data: {
+        domain: 'example.com',
+        backlinks: [{ source_url: 'https://blog.example.org/post', target_url: 'https://example.com/', anchor_text: 'great tool' }],
+      },
+    });
+    const run = await call('run_monitor', { monitor_id: monitor.id });
+    assert.equal(run.alerts.length, 1);
+    assert.equal(run.alerts[0].type, 'backlinks_lost');
+    assert.ok(!run.alerts[0].source_urls.includes('https://blog.example.org/post'));
+    assert.equal(run.alerts[0].count, run.alerts[0].source_urls.length);
+
+    assert.equal(deliveries.length, 1);
+    assertSigned(deliveries[0]);
+    assert.deepEqual(JSON.parse(deliveries[0].body).alerts, run.alerts);
+  });
+
+  test('a run without changes sends nothing', async () => {
+    const { monitor } = await call('create_monitor', { type: 'rank', domain: 'example.com', keywords: ['seo tools'], webhook_url: webhookUrl });
+    await call('run_monitor', { monitor_id: monitor.id });
+    const run = await call('run_monitor', { monitor_id: monitor.id });
+    assert.deepEqual(run.alerts, []);
+    assert.equal(deliveries.length, 0);
+  });
+
+  test('monitors are listed and deleted', async () => {
+    const { monitor } = await call('create_monitor', { type: 'indexation', domain: 'example.com', keywords: ['seo tools'] });
+    const { monitors } = await call('list_monitors', {});
+    assert.ok(monitors.some(({ id }) => id === monitor.id));
+    assert.deepEqual(await call('delete_monitor', { monitor_id: monitor.id }), { deleted: monitor.id });
+    assert.ok(!(await call('list_monitors', {})).monitors.some(({ id }) => id === monitor.id));
+  });
+});
+
+describe('monitors without FETCHSERP_API_TOKEN', () => {
+  let mock;
+  let server;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_ADMIN_TOKEN: 'admin-token' });
+    client = await server.connect('admin-token');
+  });
+
+  after(async () => {
+    await client?.close();
+    await server?.close();
+    await mock?.close();
+  });
+
+  test('create_monitor is refused instead of failing every run', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'create_monitor', arguments: { type: 'backlinks', domain: 'example.com' } }),
+      /FETCHSERP_API_TOKEN, which is not set/
+    );
+    assert.deepEqual((await client.callTool({ name: 'list_monitors', arguments: {} })).structuredContent.monitors, []);
+  });
+
+  test('monitors from a config file stop the scheduler from starting', () => {
+    assert.throws(
+      () => new MonitorScheduler({ runTool: async () => ({}), monitors: [{ type: 'backlinks', domain: 'example.com' }] }),
+      /FETCHSERP_MONITORS_CONFIG defines monitors, which run with FETCHSERP_API_TOKEN/
+    );
+  });
+
+  test('runs call tools with the scheduler\'s token', async () => {
+    const calls = [];
+    const scheduler = new MonitorScheduler({
+      runTool: async (name, args, token) => {
+        calls.push({ name, token });
+        return { data: { backlinks: [] } };
+      },
+      apiToken: 'server-token',
+      monitors: [{ type: 'backlinks', domain: 'example.com' }],
+    });
+    const run = await scheduler.run(scheduler.find('config-1'));
+    assert.equal(run.baseline, true);
+    assert.deepEqual(calls, [{ name: 'get_backlinks', token: 'server-token' }]);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createProgressReporter } from '../lib/progress.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('createProgressReporter', () => {
+  test('reports nothing without a progress token', () => {
+    assert.equal(createProgressReporter(undefined, async () => {}), null);
+  });
+
+  test('counts up and closes with progress equal to total', async () => {
+    const sent = [];
+    const progress = createProgressReporter('call-1', async (notification) => sent.push(notification));
+    await progress.report('Requesting /api/v1/moz');
+    await progress.done('Done');
+    assert.deepEqual(sent, [
+      { method: 'notifications/progress', params: { progressToken: 'call-1', progress: 1, message: 'Requesting /api/v1/moz' } },
+      { method: 'notifications/progress', params: { progressToken: 'call-1', progress: 2, total: 2, message: 'Done' } },
+    ]);
+  });
+});
+
+describe('progress and cancellation of tool calls', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'progress-token',
+      FETCHSERP_PROGRESS_INTERVAL_MS: '100',
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('a call with a progress token gets notifications until it is done', async () => {
+    mock.failures.push({ delay_ms: 450 });
+    const notifications = [];
+    const result = await client.callTool(
+      { name: 'get_moz_analysis', arguments: { domain: 'progress.example.com' } },
+      undefined,
+      { onprogress: (notification) => notifications.push(notification) }
+    );
+    assert.ok(!result.isError, result.content?.[0]?.text);
+
+    assert.equal(notifications[0].message, 'Requesting /api/v1/moz');
+    assert.ok(notifications.some(({ message }) => /^Waiting for \/api\/v1\/moz \(\d+s\)$/.test(message)));
+    assert.deepEqual(notifications.map(({ progress }) => progress), notifications.map((_, index) => index + 1));
+    const last = notifications.at(-1);
+    assert.equal(last.message, 'Done');
+    assert.equal(last.total, last.progress);
+  });
+
+  test('notifications/cancelled aborts the upstream request', async () => {
+    mock.failures.push({ delay_ms: 5000 });
+    const controller = new AbortController();
+    const call = client.callTool(
+      { name: 'get_moz_analysis', arguments: { domain: 'cancelled.example.com' } },
+      undefined,
+      { signal: controller.signal }
+    );
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    controller.abort('changed my mind');
+    await assert.rejects(call);
+
+    // The server hangs up on the mock long before the 5s delay is over
+    const upstream = mock.requests.find((request) => request.query.domain === 'cancelled.example.com');
+    for (let attempt = 0; attempt < 20 && !upstream.aborted; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.equal(upstream.aborted, true);
+    assert.equal(mock.requests.filter((request) => request.query.domain === 'cancelled.example.com').length, 1);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { RateLimiter } from '../lib/ratelimit.js';
+import { startHttpServer, startMockApi } from './helpers.js';
+
+describe('RateLimiter', () => {
+  test('empties a bucket per key and refills it over time', () => {
+    const limiter = new RateLimiter({ perMinute: 2 });
+    const now = Date.now();
+    assert.equal(limiter.take('a', now).allowed, true);
+    assert.equal(limiter.take('a', now).allowed, true);
+    assert.deepEqual(limiter.take('a', now), { allowed: false, retryAfterMs: 30000 });
+    assert.equal(limiter.take('b', now).allowed, true);
+    assert.equal(limiter.take('a', now + 30000).allowed, true);
+  });
+
+  test('allows everything at 0 per minute', () => {
+    const limiter = new RateLimiter({ perMinute: 0 });
+    for (let request = 0; request < 5; request++) {
+      assert.equal(limiter.take('a').allowed, true);
+    }
+  });
+});
+
+const usage = (url, token) => fetch(`${url}/usage`, { headers: { Authorization: `Bearer ${token}` } });
+
+async function assertTooManyRequests(response, message, retryAfter) {
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('retry-after'), String(retryAfter));
+  const { error } = await response.json();
+  assert.match(error.message, message);
+  assert.equal(error.data.retry_after_seconds, retryAfter);
+}
+
+describe('HTTP limits per token and on sessions', () => {
+  let mock;
+  let server;
+  const clients = [];
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_RATE_LIMIT_PER_TOKEN: '6',
+      FETCHSERP_RATE_LIMIT_PER_IP: '0',
+      FETCHSERP_MAX_SESSIONS: '1',
+    });
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await server?.close();
+    await mock?.close();
+  });
+
+  test('/usage answers 429 with Retry-After once the token is out of requests', async () => {
+    for (let request = 0; request < 6; request++) {
+      assert.equal((await usage(server.url, 'busy-token')).status, 200);
+    }
+    // 6 per minute: the next request is allowed 10s later
+    await assertTooManyRequests(await usage(server.url, 'busy-token'), /rate limit exceeded for this token/, 10);
+    assert.equal((await usage(server.url, 'other-token')).status, 200);
+  });
+
+  test('refuses new sessions past the limit until one ends', async () => {
+    const first = await server.connect('session-a');
+    clients.push(first);
+
+    await assert.rejects(server.connect('session-b'), /429/);
+    const refused = await fetch(server.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer session-c',
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'fetchserp-test', version: '1.0.0' } },
+      }),
+    });
+    await assertTooManyRequests(refused, /server is at its limit of 1 sessions/, 60);
+
+    await first.transport.terminateSession();
+    const second = await server.connect('session-b');
+    clients.push(second);
+    assert.ok((await second.listTools()).tools.length > 0);
+  });
+});
+
+describe('HTTP limits per IP', () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_RATE_LIMIT_PER_TOKEN: '0',
+      FETCHSERP_RATE_LIMIT_PER_IP: '2',
+    });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  test('count every token from the same address', async () => {
+    assert.equal((await usage(server.url, 'token-a')).status, 200);
+    assert.equal((await usage(server.url, 'token-b')).status, 200);
+    await assertTooManyRequests(await usage(server.url, 'token-c'), /rate limit exceeded for this IP address/, 30);
+
+    const sse = await fetch(server.endpoint, { method: 'POST', headers: { Authorization: 'Bearer token-d' } });
+    await assertTooManyRequests(sse, /rate limit exceeded for this IP address/, 30);
+  });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { LatestResults } from '../lib/resources.js';
+import { startHttpServer, startMockApi } from './helpers.js';
+
+describe('LatestResults', () => {
+  test('stores results under a normalized URI per token', () => {
+    const latest = new LatestResults();
+    latest.record('get_domain_info', { domain: 'https://WWW.Example.com/' }, { domain: 'example.com' }, 'token-a');
+    latest.record('get_serp_results', { query: '  SEO   Tools ', search_engine: 'Google', country: 'US' }, { results: [] }, 'token-a');
+    latest.record('get_backlinks', { domain: 'example.com' }, {}, 'token-a');
+
+    assert.deepEqual(latest.entries('token-a').map(({ uri }) => uri), [
+      'fetchserp://domain/example.com/info',
+      'fetchserp://serp/google/us/seo%20tools',
+    ]);
+    assert.deepEqual(latest.entries('token-b'), []);
+    assert.equal(latest.read('fetchserp://domain/www.EXAMPLE.com/info', 'token-a').contents[0].text, '{"domain":"example.com"}');
+    assert.ok(latest.read('fetchserp://serp/GOOGLE/us/SEO%20%20tools', 'token-a'));
+    assert.throws(() => latest.read('fetchserp://domain/example.com/info', 'token-b'), /Nothing stored yet; call get_domain_info/);
+    assert.throws(() => latest.read('fetchserp://domain/example.com/moz', 'token-a'), /call get_moz_analysis/);
+    assert.equal(latest.read('fetchserp://results/abc/1', 'token-a'), null);
+    assert.equal(latest.handles('fetchserp://serp/google/us/%E0%A4%A'), false);
+  });
+
+  test('keeps the newest result and announces each replacement', () => {
+    const latest = new LatestResults({ maxEntries: 2 });
+    const events = [];
+    latest.on('updated', (event) => events.push(event));
+
+    latest.record('get_moz_analysis', { domain: 'a.com' }, { domain_authority: 40 }, 'token-a', 2000);
+    latest.record('get_moz_analysis', { domain: 'a.com' }, { domain_authority: 30 }, 'token-a', 1000);
+    assert.equal(JSON.parse(latest.read('fetchserp://domain/a.com/moz', 'token-a').contents[0].text).domain_authority, 40);
+    assert.equal(events.length, 1);
+    assert.ok(latest.isUpdateFor(events[0], 'fetchserp://domain/A.com/moz', 'token-a'));
+    assert.equal(latest.isUpdateFor(events[0], 'fetchserp://domain/a.com/moz', 'token-b'), false);
+
+    latest.record('get_moz_analysis', { domain: 'b.com' }, {}, 'token-a', 3000);
+    latest.record('get_moz_analysis', { domain: 'c.com' }, {}, 'token-a', 4000);
+    assert.deepEqual(latest.entries('token-a').map(({ uri }) => uri), ['fetchserp://domain/b.com/moz', 'fetchserp://domain/c.com/moz']);
+  });
+});
+
+describe('latest result resources', () => {
+  let mock;
+  let server;
+  let clients = [];
+  const updates = [[], []];
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url });
+    clients = await Promise.all([server.connect('token-a'), server.connect('token-b')]);
+    clients.forEach((client, index) => client.setNotificationHandler(
+      ResourceUpdatedNotificationSchema,
+      (notification) => updates[index].push(notification.params.uri)
+    ));
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await server?.close();
+    await mock?.close();
+  });
+
+  const call = (client, name, args) => client.callTool({ name, arguments: args });
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+  test('resources/templates/list names every template', async () => {
+    const { resourceTemplates } = await clients[0].listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map(({ uriTemplate }) => uriTemplate), [
+      'fetchserp://results/{id}/{page}',
+      'fetchserp://exports/{id}/{filename}',
+      'fetchserp://domain/{domain}/info',
+      'fetchserp://domain/{domain}/moz',
+      'fetchserp://serp/{engine}/{country}/{query}',
+    ]);
+  });
+
+  test('a tool call fills the domain and SERP resources of its token', async () => {
+    await call(clients[0], 'get_domain_info', { domain: 'Example.com' });
+    await call(clients[0], 'get_serp_results', { query: 'SEO tools' });
+
+    const info = await clients[0].readResource({ uri: 'fetchserp://domain/example.com/info' });
+    assert.equal(JSON.parse(info.contents[0].text).data.domain, 'Example.com');
+    assert.equal(info._meta.tool, 'get_domain_info');
+    const serp = await clients[0].readResource({ uri: 'fetchserp://serp/google/us/seo%20tools' });
+    assert.equal(JSON.parse(serp.contents[0].text).data.results.length, 3);
+
+    const { resources } = await clients[0].listResources();
+    assert.deepEqual(resources.map(({ uri }) => uri), ['fetchserp://domain/example.com/info', 'fetchserp://serp/google/us/seo%20tools']);
+    await assert.rejects(
+      clients[1].readResource({ uri: 'fetchserp://domain/example.com/info' }),
+      /Nothing stored yet; call get_domain_info/
+    );
+  });
+
+  test('subscribers hear about new results for their own token only', async () => {
+    const uri = 'fetchserp://domain/example.com/moz';
+    await clients[0].subscribeResource({ uri });
+    await assert.rejects(clients[0].subscribeResource({ uri: 'fetchserp://results/abc/1' }), /Cannot subscribe/);
+
+    await call(clients[1], 'get_moz_analysis', { domain: 'example.com' });
+    await settle();
+    assert.deepEqual(updates[0], []);
+
+    await call(clients[0], 'get_moz_analysis', { domain: 'www.example.com' });
+    await settle();
+    assert.deepEqual(updates[0], [uri]);
+
+    // Served from the cache: nothing newer, so no update
+    await call(clients[0], 'get_moz_analysis', { domain: 'www.example.com' });
+    await settle();
+    assert.deepEqual(updates[0], [uri]);
+
+    // Spelled differently, so fetched again
+    await clients[0].unsubscribeResource({ uri });
+    await call(clients[0], 'get_moz_analysis', { domain: 'EXAMPLE.com' });
+    await settle();
+    assert.deepEqual(updates[0], [uri]);
+    assert.deepEqual(updates[1], []);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { paginate, previewOf, ResultStore } from '../lib/results.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('previewOf', () => {
+  test('cuts long arrays and strings but keeps the shape', () => {
+    const preview = previewOf({ items: Array.from({ length: 25 }, (_, index) => ({ index })), html: 'x'.repeat(5000), count: 25 });
+    assert.equal(preview.items.length, 10);
+    assert.deepEqual(preview.items[9], { index: 9 });
+    assert.equal(preview.html.length, 1001);
+    assert.equal(preview.count, 25);
+  });
+});
+
+describe('paginate', () => {
+  const resources = Array.from({ length: 5 }, (_, index) => ({ uri: `fetchserp://test/${index}` }));
+
+  test('pages by cursor and only names a next cursor while more remain', () => {
+    const first = paginate(resources, undefined, 2);
+    assert.deepEqual(first.resources.map(({ uri }) => uri), ['fetchserp://test/0', 'fetchserp://test/1']);
+    assert.equal(first.nextCursor, '2');
+
+    const last = paginate(resources, '4', 2);
+    assert.deepEqual(last.resources.map(({ uri }) => uri), ['fetchserp://test/4']);
+    assert.equal(last.nextCursor, undefined);
+
+    assert.equal(paginate(resources, 'bogus', 2).resources[0].uri, 'fetchserp://test/0');
+  });
+});
+
+describe('ResultStore', () => {
+  const json = JSON.stringify({ data: 'x'.repeat(250) });
+
+  test('splits a result into pages that rebuild it', () => {
+    const store = new ResultStore({ maxBytes: 100, pageSize: 100 });
+    assert.equal(store.isOversized(json), true);
+    assert.equal(store.isOversized('{}'), false);
+
+    const stored = store.save('get_serp_html', json, 'token-a');
+    assert.equal(stored.pages.length, 3);
+    assert.equal(stored.bytes, json.length);
+
+    const pages = [1, 2, 3].map((page) => store.read(store.pageUri(stored.id, page), 'token-a'));
+    assert.equal(pages.map((page) => page.contents[0].text).join(''), json);
+    assert.equal(pages[0]._meta.next, store.pageUri(stored.id, 2));
+    assert.equal(pages[2]._meta.next, undefined);
+    assert.equal(store.describePage(stored, 2).name, `get_serp_html result ${stored.id.substring(0, 8)} page 2/3`);
+  });
+
+  test('reads nothing outside the page range or under another token', () => {
+    const store = new ResultStore({ pageSize: 100 });
+    const stored = store.save('get_serp_html', json, 'token-a');
+
+    assert.equal(store.read(store.pageUri(stored.id, 0), 'token-a'), null);
+    assert.equal(store.read(store.pageUri(stored.id, 4), 'token-a'), null);
+    assert.equal(store.read(`fetchserp://results/${stored.id}/first`, 'token-a'), null);
+    assert.equal(store.read('fetchserp://results/unknown/1', 'token-a'), null);
+    assert.equal(store.read(store.pageUri(stored.id, 1), 'token-b'), null);
+    assert.equal(store.read('fetchserp://domain/example.com', 'token-a'), null);
+
+    assert.equal(store.entries('token-a').length, 3);
+    assert.deepEqual(store.entries('token-b'), []);
+    assert.equal(store.list('token-a', '2', 2).resources.length, 1);
+  });
+
+  test('drops the oldest results past the limit and expired ones', () => {
+    const store = new ResultStore({ maxResults: 2 });
+    const [first, second, third] = [1, 2, 3].map(() => store.save('get_serp_html', json, 'token-a'));
+    assert.equal(store.read(store.pageUri(first.id, 1), 'token-a'), null);
+    assert.ok(store.read(store.pageUri(second.id, 1), 'token-a'));
+    assert.ok(store.read(store.pageUri(third.id, 1), 'token-a'));
+
+    const expiring = new ResultStore({ ttlMs: -1 });
+    expiring.save('get_serp_html', json, 'token-a');
+    assert.deepEqual(expiring.entries('token-a'), []);
+  });
+});
+
+describe('oversized tool results', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'results-token',
+      FETCHSERP_MAX_RESULT_BYTES: '500',
+      FETCHSERP_RESULT_PAGE_SIZE: '300',
+    });
+    await client.listTools();
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('return a preview with links to pages that rebuild the full response', async () => {
+    const result = await client.callTool({ name: 'get_serp_results', arguments: { query: 'seo tools' } });
+    const { truncated } = result._meta;
+    assert.ok(truncated.bytes > 500);
+    assert.equal(truncated.pages, Math.ceil(truncated.bytes / 300));
+    assert.match(result.content.find((item) => item.type === 'text' && item.text.startsWith('Result truncated')).text, /resources\/read/);
+
+    const links = result.content.filter((item) => item.type === 'resource_link');
+    assert.equal(links.length, truncated.pages);
+    assert.equal(links[0].uri, truncated.uri);
+
+    const pages = [];
+    for (let uri = truncated.uri; uri;) {
+      const page = await client.readResource({ uri });
+      pages.push(page.contents[0].text);
+      uri = page._meta.next;
+    }
+    const full = JSON.parse(pages.join(''));
+    assert.equal(full.data.query, 'seo tools');
+    assert.deepEqual(result.structuredContent, previewOf(full));
+
+    const { resources } = await client.listResources();
+    assert.deepEqual(resources.filter(({ uri }) => uri.startsWith('fetchserp://results/')).map(({ uri }) => uri), links.map(({ uri }) => uri));
+    await assert.rejects(
+      client.readResource({ uri: truncated.uri.replace(/\/1$/, `/${truncated.pages + 1}`) }),
+      /Resource not found/
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { backoffDelay, loadRetryPolicy, parseRetryAfter } from '../lib/retry.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('retry policy', () => {
+  test('reads Retry-After as seconds or an HTTP date', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const inFiveSeconds = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(inFiveSeconds > 3000 && inFiveSeconds <= 5000, String(inFiveSeconds));
+  });
+
+  test('keeps backoff under a ceiling that doubles per attempt up to the maximum', () => {
+    const policy = loadRetryPolicy({ FETCHSERP_RETRY_BASE_MS: '100', FETCHSERP_RETRY_MAX_MS: '300' });
+    for (let run = 0; run < 20; run++) {
+      assert.ok(backoffDelay(policy, 1) <= 100);
+      assert.ok(backoffDelay(policy, 2) <= 200);
+      assert.ok(backoffDelay(policy, 5) <= 300);
+    }
+  });
+});
+
+describe('upstream retries', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'retry-token',
+      FETCHSERP_MAX_RETRIES: '2',
+      FETCHSERP_RETRY_BASE_MS: '10',
+      FETCHSERP_RETRY_MAX_MS: '2000',
+      FETCHSERP_TIMEOUT_MS: '300',
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  const injectFailures = (failure) => fetch(`${mock.url}/__failures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path: '/api/v1/domain_infos', ...failure }),
+  });
+  // Each test looks up its own domain, so no result comes from the cache
+  const domainInfo = (domain) => client.callTool({ name: 'get_domain_info', arguments: { domain } });
+  const attempts = (domain) => mock.requests.filter((request) => request.query.domain === domain).length;
+
+  test('waits out Retry-After on a 429 and succeeds', async () => {
+    await injectFailures({ status: 429, retry_after: 1 });
+    const started = Date.now();
+    const result = await domainInfo('rate-limited.com');
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    assert.equal(result.structuredContent.data.domain, 'rate-limited.com');
+    assert.equal(attempts('rate-limited.com'), 2);
+    assert.ok(Date.now() - started >= 900, 'retried before Retry-After elapsed');
+  });
+
+  test('gives up on a 503 after the last retry', async () => {
+    await injectFailures({ status: 503, count: 3 });
+    await assert.rejects(domainInfo('unavailable.com'), /API request failed: 503 Service Unavailable - .*Injected 503.* \(3 attempts\)/);
+    assert.equal(attempts('unavailable.com'), 3);
+  });
+
+  test('fails at once when Retry-After is past the retry window', async () => {
+    await injectFailures({ status: 429, retry_after: 60 });
+    await assert.rejects(domainInfo('throttled.com'), /retry after 60s exceeds the retry window \(1 attempt\)/);
+    assert.equal(attempts('throttled.com'), 1);
+  });
+
+  test('does not retry a timeout', async () => {
+    await injectFailures({ delay_ms: 1000 });
+    await assert.rejects(domainInfo('slow.com'), /API request timed out after 300ms \(1 attempt\)/);
+    assert.equal(attempts('slow.com'), 1);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { startHttpServer, startMockApi } from './helpers.js';
+
+// Each HTTP session calls the API with the Bearer token it was opened with,
+// even while another session's calls are in flight
+describe('concurrent HTTP sessions', () => {
+  let mock;
+  let server;
+  let clients = [];
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url });
+    clients = await Promise.all([server.connect('token-a'), server.connect('token-b')]);
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await server?.close();
+    await mock?.close();
+  });
+
+  test('upstream requests carry the token of the session that made the call', async () => {
+    // Slow responses keep both sessions' calls in flight at the same time
+    mock.failures.push(...Array.from({ length: 8 }, () => ({ delay_ms: 100 })));
+    const seen = mock.requests.length;
+
+    const results = await Promise.all(Array.from({ length: 8 }, (_, index) =>
+      clients[index % 2].callTool({ name: 'get_moz_analysis', arguments: { domain: `site${index}.com` } })
+    ));
+
+    results.forEach((result) => assert.ok(!result.isError, result.content?.[0]?.text));
+    const upstream = mock.requests.slice(seen);
+    assert.equal(upstream.length, 8);
+    upstream.forEach((request) => {
+      const index = Number(/^site(\d+)\.com$/.exec(request.query.domain)[1]);
+      assert.equal(request.token, index % 2 === 0 ? 'token-a' : 'token-b', `${request.query.domain} used the wrong token`);
+    });
+  });
+
+  test('a session cannot be used with another token', async () => {
+    const sessionId = clients[0].transport.sessionId;
+    const response = await fetch(server.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer token-b',
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': sessionId,
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.equal(response.status, 403);
+  });
+});
+
+// A call keeps its place under FETCHSERP_MAX_CONCURRENT_CALLS until it
+// completes, even after the client has dropped the connection it came on
+describe('concurrent call limit', () => {
+  let mock;
+  let server;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_MAX_CONCURRENT_CALLS: '1' });
+    client = await server.connect('limit-token');
+  });
+
+  after(async () => {
+    await client?.close();
+    await server?.close();
+    await mock?.close();
+  });
+
+  test('a dropped call counts until it completes', async () => {
+    const post = (id, domain) => fetch(server.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer limit-token',
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': client.transport.sessionId,
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id,
+        method: 'tools/call',
+        params: { name: 'get_moz_analysis', arguments: { domain } },
+      }),
+    });
+
+    mock.failures.push({ delay_ms: 500 });
+    const dropped = await post(101, 'dropped.example.com');
+    // The first event shows the call has started; then hang up
+    const reader = dropped.body.getReader();
+    await reader.read();
+    await reader.cancel();
+
+    const rejected = await post(102, 'rejected.example.com');
+    assert.equal(rejected.status, 429);
+    await rejected.text();
+
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    const result = await client.callTool({ name: 'get_moz_analysis', arguments: { domain: 'allowed.example.com' } });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    assert.deepEqual(mock.requests.map(({ query }) => query.domain), ['dropped.example.com', 'allowed.example.com']);
+  });
+});
+
+// DELETE ends a session at once; FETCHSERP_SESSION_IDLE_MS ends one nobody
+// uses, unless it still has a call in flight
+describe('session lifecycle', () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = await startMockApi();
+    server = await startHttpServer({ FETCHSERP_API_BASE_URL: mock.url, FETCHSERP_SESSION_IDLE_MS: '1000' });
+  });
+
+  after(async () => {
+    await server?.close();
+    await mock?.close();
+  });
+
+  const activeSessions = async () => (await (await fetch(`${server.url}/health`)).json()).sessions.active;
+  const listTools = (token, sessionId) => fetch(server.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'mcp-session-id': sessionId,
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+  });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test('DELETE closes the session', async () => {
+    const client = await server.connect('delete-token');
+    const { sessionId } = client.transport;
+    assert.equal(await activeSessions(), 1);
+
+    await client.transport.terminateSession();
+    assert.equal(await activeSessions(), 0);
+    const response = await listTools('delete-token', sessionId);
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.message, 'Session not found');
+    await client.close();
+  });
+
+  test('an idle session is closed, one with a call in flight is not', async () => {
+    const idle = await server.connect('idle-token');
+    const busy = await server.connect('busy-token');
+    assert.equal(await activeSessions(), 2);
+
+    mock.failures.push({ delay_ms: 2500 });
+    const result = await busy.callTool({ name: 'get_moz_analysis', arguments: { domain: 'busy.example.com' } });
+    assert.ok(!result.isError, result.content?.[0]?.text);
+
+    assert.equal(await activeSessions(), 1);
+    assert.equal((await listTools('idle-token', idle.transport.sessionId)).status, 404);
+    assert.equal((await listTools('busy-token', busy.transport.sessionId)).status, 200);
+
+    await wait(2500);
+    assert.equal(await activeSessions(), 0);
+    await Promise.all([idle.close(), busy.close()]);
+  });
+});
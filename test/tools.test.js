@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { builtinTools } from '../lib/tools.js';
+import { connectStdio, sampleArguments, startHttpServer, startMockApi } from './helpers.js';
+
+test('sample arguments cover every built-in tool', () => {
+  assert.deepEqual(Object.keys(sampleArguments).sort(), builtinTools.map(({ name }) => name).sort());
+});
+
+// Every built-in tool answers without an error and reaches the API with the
+// caller's token
+function describeTools(transport, connect, token) {
+  describe(`built-in tools over ${transport}`, () => {
+    let mock;
+    let client;
+    let closeServer;
+
+    before(async () => {
+      mock = await startMockApi();
+      ({ client, close: closeServer } = await connect(mock.url));
+    });
+
+    after(async () => {
+      await client?.close();
+      await closeServer?.();
+      await mock?.close();
+    });
+
+    test('lists every built-in tool', async () => {
+      const { tools } = await client.listTools();
+      const names = tools.map(({ name }) => name);
+      builtinTools.forEach(({ name }) => assert.ok(names.includes(name), `${name} is not listed`));
+    });
+
+    Object.entries(sampleArguments).forEach(([name, args]) => {
+      test(name, async () => {
+        const seen = mock.requests.length;
+        const result = await client.callTool({ name, arguments: args });
+
+        assert.ok(!result.isError, `${name} failed: ${result.content?.[0]?.text}`);
+        assert.equal(result.content[0].type, 'text');
+        const upstream = mock.requests.slice(seen);
+        assert.ok(upstream.length > 0, `${name} made no upstream request`);
+        upstream.forEach((request) => assert.equal(request.token, token));
+      });
+    });
+  });
+}
+
+describeTools('stdio', async (apiUrl) => ({
+  client: await connectStdio({ FETCHSERP_API_BASE_URL: apiUrl, FETCHSERP_API_TOKEN: 'stdio-token' }),
+}), 'stdio-token');
+
+describeTools('streamable HTTP', async (apiUrl) => {
+  const server = await startHttpServer({ FETCHSERP_API_BASE_URL: apiUrl });
+  return { client: await server.connect('http-token'), close: () => server.close() };
+}, 'http-token');
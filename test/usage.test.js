@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { UsageTracker } from '../lib/usage.js';
+import { connectStdio, startMockApi } from './helpers.js';
+
+describe('credit reservations', () => {
+  test('parallel calls cannot all pass the same budget check', async () => {
+    const usage = new UsageTracker({ dailyBudget: 3 });
+    const attempts = await Promise.allSettled(
+      Array.from({ length: 8 }, () => usage.authorize('token', 'get_domain_ranking', { pages_number: 1 }))
+    );
+
+    assert.equal(attempts.filter(({ status }) => status === 'fulfilled').length, 3);
+    assert.match(attempts.find(({ status }) => status === 'rejected').reason.message, /3 of 3 credits used or reserved/);
+  });
+
+  test('a failed call gives its credits back and a successful one keeps them', async () => {
+    const usage = new UsageTracker({ dailyBudget: 2 });
+    const failed = await usage.authorize('token', 'get_moz_analysis', {});
+    const succeeded = await usage.authorize('token', 'get_moz_analysis', {});
+    await assert.rejects(usage.authorize('token', 'get_moz_analysis', {}), /Daily credit budget exceeded/);
+
+    usage.release(failed);
+    await usage.record('token', 'get_moz_analysis', { reservation: succeeded });
+    assert.equal(usage.reservations.size, 0);
+    assert.equal((await usage.report('token')).accounts[0].today.credits, 1);
+
+    await usage.authorize('token', 'get_moz_analysis', {});
+    await assert.rejects(usage.authorize('token', 'get_moz_analysis', {}), /Daily credit budget exceeded/);
+  });
+
+  test('tool quotas count calls in flight', async () => {
+    const usage = new UsageTracker({ toolQuotas: { get_moz_analysis: 1 } });
+    await usage.authorize('token', 'get_moz_analysis', {});
+    await assert.rejects(usage.authorize('token', 'get_moz_analysis', {}), /Daily quota exceeded/);
+  });
+});
+
+describe('budgets with a batch tool', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockApi();
+    client = await connectStdio({
+      FETCHSERP_API_BASE_URL: mock.url,
+      FETCHSERP_API_TOKEN: 'budget-token',
+      FETCHSERP_DAILY_BUDGET: '3',
+      FETCHSERP_CACHE: 'off',
+    });
+    // Lets the client check results against the tools' output schemas
+    await client.listTools();
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  test('a batch spends no more than the daily budget', async () => {
+    const result = await client.callTool({
+      name: 'get_domain_rankings_batch',
+      arguments: { domain: 'example.com', keywords: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'], pages_number: 1 },
+    });
+
+    assert.ok(!result.isError, result.content?.[0]?.text);
+    const rows = result.structuredContent.results;
+    assert.equal(rows.filter((row) => !row.error).length, 3);
+    assert.equal(mock.requests.length, 3);
+
+    const usage = await client.callTool({ name: 'get_usage_report', arguments: {} });
+    assert.equal(usage.structuredContent.accounts[0].today.credits, 3);
+  });
+});